@@ -0,0 +1,125 @@
+// Redaction log / audit report
+//
+// Records what was removed from a document without repeating it: every
+// redaction is listed with its location and trigger, but the redacted text
+// is only stored as a salted SHA-256 hash. The salt is included so a known
+// value can be checked against the log later.
+import { jsPDF } from 'jspdf';
+import { hashBytes } from './session.js';
+
+function randomSalt() {
+    return [...crypto.getRandomValues(new Uint8Array(16))]
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+export async function hashRedactedText(salt, text) {
+    return hashBytes(new TextEncoder().encode(`${salt}:${text}`));
+}
+
+const round = (v) => Math.round(v * 100) / 100;
+
+// Build the report object for the redactions that were applied
+export async function buildAuditReport({ fileName, pageCount, redactions, excludedCount, toolVersion }) {
+    const salt = randomSalt();
+
+    const entries = [];
+    for (const match of redactions) {
+        const entry = {
+            page: match.pageNum + 1,
+            bbox: match.bbox.map(round),
+            term: match.isManual ? null : match.term,
+            ground: match.ground || null,
+            manual: !!match.isManual,
+            confidence: match.confidence != null ? round(match.confidence) : null,
+            textHash: match.isManual ? null : await hashRedactedText(salt, match.text)
+        };
+        // A match over several lines: bbox is the union, these are the boxes drawn
+        if (match.fragments) entry.lineBboxes = match.fragments.map(f => f.bbox.map(round));
+        entries.push(entry);
+    }
+    entries.sort((a, b) => a.page - b.page || a.bbox[1] - b.bbox[1] || a.bbox[0] - b.bbox[0]);
+
+    return {
+        document: {
+            fileName,
+            pageCount,
+            generatedAt: new Date().toISOString(),
+            tool: 'pdf-anonymizer',
+            toolVersion,
+            redactionCount: entries.length,
+            excludedMatchCount: excludedCount,
+            hashAlgorithm: 'SHA-256(salt + ":" + text)',
+            hashSalt: salt
+        },
+        redactions: entries
+    };
+}
+
+export function reportToJSON(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+function csvField(value) {
+    if (value == null) return '';
+    const str = String(value);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// CSV with the document facts as leading comment lines
+export function reportToCSV(report) {
+    const lines = Object.entries(report.document).map(([key, value]) => `# ${key}: ${value}`);
+    lines.push(['page', 'x0', 'y0', 'x1', 'y1', 'term', 'ground', 'manual', 'confidence', 'text_sha256'].join(','));
+    for (const r of report.redactions) {
+        lines.push([
+            r.page, ...r.bbox, r.term, r.ground, r.manual, r.confidence, r.textHash
+        ].map(csvField).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Human-readable version of the report as a standalone PDF
+export function reportToPDF(report) {
+    const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 40;
+    let y = margin;
+
+    const line = (text, size = 9, style = 'normal', font = 'helvetica') => {
+        if (y > pageHeight - margin) {
+            doc.addPage();
+            y = margin;
+        }
+        doc.setFont(font, style);
+        doc.setFontSize(size);
+        doc.text(text, margin, y);
+        y += size * 1.4;
+    };
+
+    line('Redaction log', 16, 'bold');
+    y += 4;
+    for (const [key, value] of Object.entries(report.document)) {
+        line(`${key}: ${value}`);
+    }
+    y += 8;
+
+    line([
+        'Page'.padEnd(5),
+        'Position (x0, y0, x1, y1 pt)'.padEnd(34),
+        'Trigger'.padEnd(27),
+        'Conf.'.padEnd(6),
+        'Text hash'
+    ].join(' '), 8, 'bold', 'courier');
+    for (const r of report.redactions) {
+        const trigger = (r.manual ? '(manual)' : r.term) + (r.ground ? ` #${r.ground}` : '');
+        line([
+            String(r.page).padEnd(5),
+            r.bbox.map(v => v.toFixed(1)).join(', ').padEnd(34),
+            trigger.length > 27 ? trigger.substring(0, 24) + '...' : trigger.padEnd(27),
+            (r.confidence != null ? r.confidence.toFixed(0) : '-').padEnd(6),
+            r.textHash ? r.textHash.substring(0, 16) : '-'
+        ].join(' '), 8, 'normal', 'courier');
+    }
+
+    return doc;
+}
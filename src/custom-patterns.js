@@ -0,0 +1,100 @@
+// User-defined named patterns stored in the browser (localStorage)
+//
+// A definition is plain data:
+//   { name, regex, description, caseSensitive,
+//     minLength, maxLength, checksum, prefixes: [] }
+// and becomes usable as <name> in the terms input once passed to
+// setCustomPatterns (patterns.js).
+import { PATTERNS, CHECKSUMS, compileCustomPattern } from './patterns.js';
+
+const STORAGE_KEY = 'pdf-anonymizer.custom-patterns';
+export const CUSTOM_PATTERNS_FORMAT = 'pdf-anonymizer-patterns';
+
+const NAME_RULE = /^[a-z][a-z0-9_-]*$/;
+
+export function loadCustomPatterns() {
+    try {
+        const defs = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(defs) ? defs : [];
+    } catch (e) {
+        console.warn('Ignoring unreadable custom patterns in storage', e);
+        return [];
+    }
+}
+
+function storeCustomPatterns(defs) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(defs));
+}
+
+// Normalize and check a definition; throws with a user-facing message
+export function validateDefinition(def) {
+    const name = String(def.name || '').trim().replace(/^<|>$/g, '').toLowerCase();
+    if (!NAME_RULE.test(name)) {
+        throw new Error('Pattern name must start with a letter and contain only a-z, 0-9, - and _');
+    }
+    if (`<${name}>` in PATTERNS) {
+        throw new Error(`<${name}> is a built-in pattern`);
+    }
+    if (!def.regex) {
+        throw new Error('Pattern needs a regex');
+    }
+
+    const clean = {
+        name,
+        regex: String(def.regex),
+        description: String(def.description || '').trim(),
+        caseSensitive: !!def.caseSensitive,
+        minLength: parseInt(def.minLength) || null,
+        maxLength: parseInt(def.maxLength) || null,
+        checksum: def.checksum in CHECKSUMS ? def.checksum : 'none',
+        prefixes: (Array.isArray(def.prefixes) ? def.prefixes : String(def.prefixes || '').split(','))
+            .map(p => String(p).trim())
+            .filter(Boolean)
+    };
+
+    try {
+        compileCustomPattern(clean);
+    } catch (e) {
+        throw new Error(`Invalid regex: ${e.message}`);
+    }
+    return clean;
+}
+
+// Create or replace a definition; returns the stored definition
+export function saveCustomPattern(def) {
+    const clean = validateDefinition(def);
+    const defs = loadCustomPatterns().filter(d => d.name !== clean.name);
+    defs.push(clean);
+    defs.sort((a, b) => a.name.localeCompare(b.name));
+    storeCustomPatterns(defs);
+    return clean;
+}
+
+export function deleteCustomPattern(name) {
+    storeCustomPatterns(loadCustomPatterns().filter(d => d.name !== name));
+}
+
+export function exportCustomPatterns() {
+    return JSON.stringify({ format: CUSTOM_PATTERNS_FORMAT, version: 1, patterns: loadCustomPatterns() }, null, 2);
+}
+
+// Import definitions from an export file; same-named ones are replaced.
+// Returns the imported names.
+export function importCustomPatterns(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (e) {
+        throw new Error('Pattern file is not valid JSON');
+    }
+    if (!data || data.format !== CUSTOM_PATTERNS_FORMAT || !Array.isArray(data.patterns)) {
+        throw new Error('Not a PDF Anonymizer pattern file');
+    }
+
+    const imported = data.patterns.map(validateDefinition);
+    const names = new Set(imported.map(d => d.name));
+    const defs = loadCustomPatterns().filter(d => !names.has(d.name)).concat(imported);
+    defs.sort((a, b) => a.name.localeCompare(b.name));
+    storeCustomPatterns(defs);
+    return [...names];
+}
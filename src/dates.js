@@ -0,0 +1,109 @@
+// Date recognition and generalization
+//
+// Recognizes numeric (12-03-1985, 12/3/85), ISO (1985-03-12) and written
+// Dutch and English dates (12 maart 1985, 12 mrt. '85, March 12th, 1985,
+// 12th of March 1985). For the pseudonymized exports a date can be reduced
+// to its year, or shifted by a fixed secret number of days so intervals
+// between dates stay intact.
+
+const STORAGE_KEY = 'pdf-anonymizer.date-shift-days';
+
+// Month names and abbreviations → month number
+const MONTHS = {
+    januari: 1, january: 1, jan: 1,
+    februari: 2, february: 2, feb: 2, febr: 2,
+    maart: 3, march: 3, mrt: 3, mar: 3,
+    april: 4, apr: 4,
+    mei: 5, may: 5,
+    juni: 6, june: 6, jun: 6,
+    juli: 7, july: 7, jul: 7,
+    augustus: 8, august: 8, aug: 8,
+    september: 9, sep: 9, sept: 9,
+    oktober: 10, october: 10, okt: 10, oct: 10,
+    november: 11, nov: 11,
+    december: 12, dec: 12
+};
+
+const MONTH_SOURCE = `(?:${Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|')})\\.?`;
+const DAY_SOURCE = '(?:0?[1-9]|[12]\\d|3[01])(?:st|nd|rd|th|ste|de|e)?';
+const YEAR_SOURCE = "(?:\\d{4}|['’]\\d{2})";
+
+// All supported forms, for the <date> pattern
+export const DATE_REGEX = new RegExp(
+    '(?<![\\p{L}\\d])(?:' + [
+        '\\d{4}-\\d{1,2}-\\d{1,2}',
+        '\\d{1,2}[-\\/.]\\d{1,2}[-\\/.]\\d{2,4}',
+        `${DAY_SOURCE}\\s+(?:of\\s+)?${MONTH_SOURCE}\\s*,?\\s+${YEAR_SOURCE}`,
+        `${MONTH_SOURCE}\\s+${DAY_SOURCE},?\\s+${YEAR_SOURCE}`
+    ].join('|') + ')(?![\\p{L}\\d])',
+    'giu'
+);
+
+// Two-digit years belong to this century up to the current year, else the last
+function fullYear(text) {
+    const digits = text.replace(/\D/g, '');
+    if (digits.length === 4) return parseInt(digits);
+    if (digits.length !== 2) return null;
+    const yy = parseInt(digits);
+    const century = Math.floor(new Date().getFullYear() / 100) * 100;
+    return yy <= new Date().getFullYear() % 100 ? century + yy : century - 100 + yy;
+}
+
+function validDate(year, month, day) {
+    if (!year || !month || !day || month > 12) return null;
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return day <= daysInMonth ? { year, month, day } : null;
+}
+
+// Parse a date in any supported form. Returns { year, month, day } or null.
+// Numeric dates are read day-first; month-first only when the day-first
+// reading is impossible (3/25/1985).
+export function parseDate(text) {
+    const value = text.trim();
+    let m;
+
+    if ((m = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+        return validDate(parseInt(m[1]), parseInt(m[2]), parseInt(m[3]));
+    }
+    if ((m = value.match(/^(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{2}|\d{4})$/))) {
+        const year = fullYear(m[3]);
+        return validDate(year, parseInt(m[2]), parseInt(m[1])) || validDate(year, parseInt(m[1]), parseInt(m[2]));
+    }
+    if ((m = value.match(/^(\d{1,2})\p{L}*\s+(?:of\s+)?(\p{L}+)\.?\s*,?\s+(\S+)$/iu))) {
+        return validDate(fullYear(m[3]), MONTHS[m[2].toLowerCase()], parseInt(m[1]));
+    }
+    if ((m = value.match(/^(\p{L}+)\.?\s+(\d{1,2})\p{L}*,?\s+(\S+)$/iu))) {
+        return validDate(fullYear(m[3]), MONTHS[m[1].toLowerCase()], parseInt(m[2]));
+    }
+    return null;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Generalize a date for export.
+//   mode 'year': "1985"; mode 'shift': ISO date moved by offsetDays
+// Returns null when the text is not a date.
+export function generalizeDate(text, mode, offsetDays = 0) {
+    const date = parseDate(text);
+    if (!date) return null;
+    if (mode === 'year') return String(date.year);
+
+    const shifted = new Date(Date.UTC(date.year, date.month - 1, date.day + offsetDays));
+    return `${shifted.getUTCFullYear()}-${pad(shifted.getUTCMonth() + 1)}-${pad(shifted.getUTCDate())}`;
+}
+
+// The secret shift, kept in the browser so all exports use the same one.
+// A new random offset of 1-365 days either way is picked on first use.
+export function getDateShiftDays() {
+    const stored = parseInt(localStorage.getItem(STORAGE_KEY));
+    if (stored) return stored;
+
+    const r = crypto.getRandomValues(new Uint32Array(1))[0] % 730;
+    const days = r < 365 ? -(r + 1) : r - 364;
+    setDateShiftDays(days);
+    return days;
+}
+
+export function setDateShiftDays(days) {
+    localStorage.setItem(STORAGE_KEY, String(days));
+}
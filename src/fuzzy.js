@@ -0,0 +1,138 @@
+// Approximate term matching for OCR text (the /f term flag)
+//
+// Finds substrings of a line within an edit distance of the term, where
+// common OCR confusions cost nothing:
+//
+//   0/O   1/l/I/|   5/S   rn/m
+//
+// Whitespace is ignored on both sides, so "Voorbeeldstr aat" matches
+// "Voorbeeldstraat". Each hit reports the offsets of the original text.
+
+// Characters OCR mixes up, compared in lowercase
+const CONFUSABLE = [
+    new Set(['0', 'o']),
+    new Set(['1', 'l', 'i', '|']),
+    new Set(['5', 's'])
+];
+
+// Longer terms may use more of the allowed distance; a distance of 2 on a
+// four-letter term would match almost anything
+export function effectiveDistance(term, maxDistance) {
+    const length = term.replace(/\s+/g, '').length;
+    return Math.min(maxDistance, Math.floor(length / 4));
+}
+
+function charCost(a, b, caseSensitive) {
+    if (a === b) return 0;
+    const la = a.toLowerCase();
+    const lb = b.toLowerCase();
+    if (!caseSensitive && la === lb) return 0;
+    if (CONFUSABLE.some(set => set.has(la) && set.has(lb))) return 0;
+    return 1;
+}
+
+const isWordChar = (c) => c !== undefined && /[\p{L}\p{N}]/u.test(c);
+
+// Find approximate occurrences of `term` in `text`.
+// Returns [{ index, text, distance }] in text order, without overlaps.
+export function fuzzyFind(text, term, { maxDistance = 1, caseSensitive = false, wholeWord = false } = {}) {
+    const pattern = term.replace(/\s+/g, '');
+    const k = effectiveDistance(term, maxDistance);
+    if (!pattern) return [];
+
+    // Text without whitespace, with each character's original offset
+    const chars = [];
+    const offsets = [];
+    for (let i = 0; i < text.length; i++) {
+        if (/\s/.test(text[i])) continue;
+        chars.push(text[i]);
+        offsets.push(i);
+    }
+
+    const m = pattern.length;
+    const lower = (c) => (c || '').toLowerCase();
+
+    // Column c holds, for each pattern prefix j, the cheapest alignment
+    // ending after c text characters, and where in the text it starts.
+    // Row 0 is free everywhere, so a match can start at any character.
+    const column = (c) => {
+        const cost = new Array(m + 1);
+        const start = new Array(m + 1);
+        cost[0] = 0;
+        start[0] = c;
+        return { cost, start };
+    };
+
+    let prev2 = null;
+    let prev = column(0);
+    for (let j = 1; j <= m; j++) {
+        prev.cost[j] = j;
+        prev.start[j] = 0;
+    }
+
+    const candidates = [];
+    for (let c = 1; c <= chars.length; c++) {
+        const cur = column(c);
+        const t = chars[c - 1];
+        for (let j = 1; j <= m; j++) {
+            // Substitution / match, then extra text char, then missing text char
+            let best = prev.cost[j - 1] + charCost(pattern[j - 1], t, caseSensitive);
+            let start = prev.start[j - 1];
+            if (prev.cost[j] + 1 < best) {
+                best = prev.cost[j] + 1;
+                start = prev.start[j];
+            }
+            if (cur.cost[j - 1] + 1 < best) {
+                best = cur.cost[j - 1] + 1;
+                start = cur.start[j - 1];
+            }
+            // "m" read as "rn"
+            if (prev2 && lower(pattern[j - 1]) === 'm' && lower(chars[c - 2]) === 'r' && lower(t) === 'n'
+                && prev2.cost[j - 1] < best) {
+                best = prev2.cost[j - 1];
+                start = prev2.start[j - 1];
+            }
+            // "rn" read as "m"
+            if (j >= 2 && lower(pattern[j - 2]) === 'r' && lower(pattern[j - 1]) === 'n' && lower(t) === 'm'
+                && prev.cost[j - 2] < best) {
+                best = prev.cost[j - 2];
+                start = prev.start[j - 2];
+            }
+            cur.cost[j] = best;
+            cur.start[j] = start;
+        }
+        if (cur.cost[m] <= k) {
+            candidates.push({ start: cur.start[m], end: c, distance: cur.cost[m] });
+        }
+        prev2 = prev;
+        prev = cur;
+    }
+
+    // Overlapping candidates describe the same occurrence; keep the cheapest,
+    // and of equal cost the one closest to the term's length
+    const groups = [];
+    for (const cand of candidates) {
+        const group = groups[groups.length - 1];
+        if (group && cand.start < group.end) {
+            group.end = Math.max(group.end, cand.end);
+            const better = cand.distance < group.best.distance
+                || (cand.distance === group.best.distance
+                    && Math.abs(cand.end - cand.start - m) < Math.abs(group.best.end - group.best.start - m));
+            if (better) group.best = cand;
+        } else {
+            groups.push({ end: cand.end, best: cand });
+        }
+    }
+
+    const hits = [];
+    for (const { best } of groups) {
+        let index = offsets[best.start];
+        let end = offsets[best.end - 1] + 1;
+        // Punctuation substituted for a letter ("Janse,") is not part of the hit
+        if (isWordChar(pattern[0])) while (index < end - 1 && !isWordChar(text[index])) index++;
+        if (isWordChar(pattern[m - 1])) while (end > index + 1 && !isWordChar(text[end - 1])) end--;
+        if (wholeWord && (isWordChar(text[index - 1]) || isWordChar(text[end]))) continue;
+        hits.push({ index, text: text.substring(index, end), distance: best.distance });
+    }
+    return hits;
+}
@@ -0,0 +1,288 @@
+// Pre-flight inspection of the input PDF
+//
+// Lists what the file holds besides the visible page content: document info
+// and XMP metadata, comments, form field values, attachments, JavaScript,
+// bookmarks, and text that is in the text layer but not visible on the
+// page (white on white, under an image or a shape). None of this ends up in
+// the raster output, but the user should know what the source contained.
+//
+// Hidden text is found by rendering each page twice, once as is and once
+// from a copy without any text, and comparing the two renderings under every
+// word of the text layer: a word that changes no pixels cannot be seen.
+import * as pdfjsLib from 'pdfjs-dist';
+import { OPS } from 'pdfjs-dist';
+import { readPdf, parseContent, decodeStream, resolve, get, isName, isStream } from './pdf-parser.js';
+import { writePdf, serializeContent } from './pdf-writer.js';
+import { extractTextBlocks, findImageRegions, bboxesOverlap } from './text-layer.js';
+
+// Render scale for the hidden text comparison
+const COMPARE_SCALE = 1;
+
+// A word is visible when this share of its box changes (at least 2 pixels)
+const VISIBLE_PIXEL_SHARE = 0.01;
+
+// Per-channel difference that counts as a changed pixel
+const PIXEL_THRESHOLD = 48;
+
+const INFO_KEYS = ['Title', 'Author', 'Subject', 'Keywords', 'Creator', 'Producer'];
+
+// Annotations whose content is covered elsewhere (links, form fields) or
+// belongs to another annotation (pop-ups)
+const SKIPPED_ANNOTATIONS = new Set(['Link', 'Widget', 'Popup']);
+
+const TEXT_OPS = new Set(['Tj', 'TJ', "'", '"']);
+
+function snippet(text, length = 80) {
+    const flat = String(text).replace(/\s+/g, ' ').trim();
+    return flat.length > length ? flat.substring(0, length) + '...' : flat;
+}
+
+async function inspectMetadata(pdf) {
+    const { info, metadata } = await pdf.getMetadata();
+    const entries = [];
+    for (const key of INFO_KEYS) {
+        if (info && info[key]) entries.push({ source: 'Info', key, value: snippet(info[key]) });
+    }
+    if (info && info.Custom) {
+        for (const [key, value] of Object.entries(info.Custom)) {
+            if (value) entries.push({ source: 'Info', key, value: snippet(value) });
+        }
+    }
+    if (metadata) {
+        for (const [key, value] of Object.entries(metadata.getAll())) {
+            if (value && String(value).trim()) entries.push({ source: 'XMP', key, value: snippet(value) });
+        }
+    }
+    return entries;
+}
+
+function describeActions(actions, where, into) {
+    if (!actions) return;
+    for (const [event, scripts] of Object.entries(actions)) {
+        for (const code of scripts) {
+            if (code && String(code).trim()) into.push({ where: `${where} (${event})`, code: snippet(code) });
+        }
+    }
+}
+
+// Everything that pdf.js reports directly
+async function inspectObjects(pdf) {
+    const findings = {
+        metadata: await inspectMetadata(pdf),
+        annotations: [],
+        fields: [],
+        attachments: [],
+        javascript: [],
+        bookmarks: []
+    };
+
+    describeActions(await pdf.getJSActions(), 'Document', findings.javascript);
+
+    for (let pageNum = 0; pageNum < pdf.numPages; pageNum++) {
+        const page = await pdf.getPage(pageNum + 1);
+        describeActions(await page.getJSActions(), `Page ${pageNum + 1}`, findings.javascript);
+
+        for (const annot of await page.getAnnotations()) {
+            if (annot.actions) {
+                describeActions(annot.actions, `Page ${pageNum + 1}, ${annot.fieldName ? `field "${annot.fieldName}"` : annot.subtype}`, findings.javascript);
+            }
+            if (annot.subtype === 'FileAttachment' && annot.file) {
+                findings.attachments.push({
+                    name: annot.file.filename,
+                    size: annot.file.content ? annot.file.content.length : null,
+                    pageNum
+                });
+            }
+            if (SKIPPED_ANNOTATIONS.has(annot.subtype)) continue;
+
+            const text = annot.contentsObj && annot.contentsObj.str;
+            const author = annot.titleObj && annot.titleObj.str;
+            if (text || author) {
+                findings.annotations.push({ pageNum, type: annot.subtype, author: author || null, text: snippet(text || '') });
+            }
+        }
+    }
+
+    const fields = await pdf.getFieldObjects();
+    for (const [name, widgets] of Object.entries(fields || {})) {
+        const value = widgets.map(w => w.value).find(v => v !== undefined && v !== null && v !== '' && v !== 'Off');
+        if (value !== undefined) {
+            findings.fields.push({ name, value: snippet(Array.isArray(value) ? value.join(', ') : value) });
+        }
+    }
+
+    const attachments = await pdf.getAttachments();
+    for (const attachment of Object.values(attachments || {})) {
+        findings.attachments.push({
+            name: attachment.filename,
+            size: attachment.content ? attachment.content.length : null,
+            pageNum: null
+        });
+    }
+
+    const walk = (items, depth) => {
+        for (const item of items || []) {
+            findings.bookmarks.push({ title: snippet(item.title), depth });
+            walk(item.items, depth + 1);
+        }
+    };
+    walk(await pdf.getOutline(), 0);
+
+    return findings;
+}
+
+// Copy of the PDF with every text-showing operator removed from the page
+// contents and form XObjects, decrypted
+async function stripText(pdfData, password) {
+    const file = await readPdf(pdfData, password);
+
+    const strip = async (streams) => {
+        const ops = [];
+        for (const stream of streams) {
+            if (isStream(stream)) ops.push(...parseContent(await decodeStream(file, stream)));
+        }
+        return serializeContent(ops.filter(op => !TEXT_OPS.has(op.op)));
+    };
+    const replace = (stream, data) => {
+        stream.dict = new Map([...stream.dict].filter(([key]) => key !== 'Filter' && key !== 'DecodeParms'));
+        stream.data = data;
+    };
+
+    for (const value of file.objects.values()) {
+        if (isStream(value) && isName(get(file, value.dict, 'Subtype'), 'Form')) {
+            replace(value, await strip([value]));
+        } else if (value instanceof Map && isName(get(file, value, 'Type'), 'Page')) {
+            // Operators may run on from one content stream into the next
+            const contents = get(file, value, 'Contents');
+            const streams = (Array.isArray(contents) ? contents : [contents]).map(c => resolve(file, c)).filter(isStream);
+            if (streams.length === 0) continue;
+            const data = await strip(streams);
+            streams.forEach((stream, i) => replace(stream, i === 0 ? data : new Uint8Array(0)));
+        }
+    }
+    return writePdf(file, file.trailer);
+}
+
+async function renderPixels(page) {
+    const viewport = page.getViewport({ scale: COMPARE_SCALE });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: ctx, viewport }).promise;
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+// Changed pixels between two renderings within a viewport bbox, and whether
+// the original is a single flat color there
+function compareRegion(a, b, bbox) {
+    const x0 = Math.max(0, Math.floor(bbox[0] * COMPARE_SCALE));
+    const y0 = Math.max(0, Math.floor(bbox[1] * COMPARE_SCALE));
+    const x1 = Math.min(a.width, Math.ceil(bbox[2] * COMPARE_SCALE));
+    const y1 = Math.min(a.height, Math.ceil(bbox[3] * COMPARE_SCALE));
+
+    let changed = 0;
+    let min = 255;
+    let max = 0;
+    let sum = 0;
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            const i = (y * a.width + x) * 4;
+            if (Math.abs(a.data[i] - b.data[i]) > PIXEL_THRESHOLD ||
+                Math.abs(a.data[i + 1] - b.data[i + 1]) > PIXEL_THRESHOLD ||
+                Math.abs(a.data[i + 2] - b.data[i + 2]) > PIXEL_THRESHOLD) {
+                changed++;
+            }
+            const luma = 0.299 * a.data[i] + 0.587 * a.data[i + 1] + 0.114 * a.data[i + 2];
+            min = Math.min(min, luma);
+            max = Math.max(max, luma);
+            sum += luma;
+        }
+    }
+    const area = Math.max(0, x1 - x0) * Math.max(0, y1 - y0);
+    return { changed, area, flat: max - min < 24, mean: area ? sum / area : 255 };
+}
+
+// Does the page look like a scan with an OCR text layer? Such text is
+// invisible by design and is redacted along with the image.
+function isOcrPage(opList, imageRegions, viewport) {
+    const invisibleText = opList.fnArray.some((fn, i) => fn === OPS.setTextRenderingMode && opList.argsArray[i][0] === 3);
+    const pageArea = viewport.width * viewport.height;
+    return invisibleText && imageRegions.some(r => (r[2] - r[0]) * (r[3] - r[1]) >= 0.8 * pageArea);
+}
+
+// Hidden words of a page, joined into runs per line.
+// Returns [{ pageNum, text, bbox, reason }].
+async function findHiddenText(page, strippedPage, pageNum) {
+    const blocks = await extractTextBlocks(page);
+    if (blocks.length === 0) return [];
+
+    const viewport = page.getViewport({ scale: 1 });
+    const imageRegions = await findImageRegions(page);
+    if (isOcrPage(await page.getOperatorList(), imageRegions, viewport)) return [];
+
+    const original = await renderPixels(page);
+    const stripped = await renderPixels(strippedPage);
+
+    const hits = [];
+    for (const block of blocks) {
+        let run = null;
+        for (const word of block.words) {
+            const region = compareRegion(original, stripped, word.bbox);
+            if (region.area === 0 || region.changed >= Math.max(2, region.area * VISIBLE_PIXEL_SHARE)) {
+                run = null;
+                continue;
+            }
+
+            let reason = 'not visible';
+            if (imageRegions.some(r => bboxesOverlap(r, word.bbox))) reason = 'under an image';
+            else if (region.flat && region.mean > 230) reason = 'white on white';
+            else if (region.flat) reason = 'covered by a shape';
+
+            if (run && run.reason === reason) {
+                run.text += ' ' + word.text;
+                run.bbox = [
+                    Math.min(run.bbox[0], word.bbox[0]), Math.min(run.bbox[1], word.bbox[1]),
+                    Math.max(run.bbox[2], word.bbox[2]), Math.max(run.bbox[3], word.bbox[3])
+                ];
+            } else {
+                run = { pageNum, text: word.text, bbox: word.bbox.slice(), reason };
+                hits.push(run);
+            }
+        }
+    }
+    // Stray punctuation is often misplaced in the text layer by a point or two
+    return hits.filter(hit => /[\p{L}\p{N}]/u.test(hit.text));
+}
+
+// Inspect a loaded document. `pdfData` are the raw bytes of `pdf` and
+// `password` the one it was opened with. Returns { metadata, annotations, fields, attachments, javascript,
+// bookmarks, hiddenText, hiddenTextError }; hiddenTextError says why the
+// hidden text check could not run.
+export async function inspectDocument(pdf, pdfData, { password = '', onProgress = () => {} } = {}) {
+    const findings = await inspectObjects(pdf);
+    findings.hiddenText = [];
+    findings.hiddenTextError = null;
+
+    let stripped;
+    try {
+        stripped = await pdfjsLib.getDocument({ data: await stripText(pdfData, password) }).promise;
+        if (stripped.numPages !== pdf.numPages) throw new Error('Page tree could not be read');
+    } catch (err) {
+        findings.hiddenTextError = err.message;
+        return findings;
+    }
+
+    try {
+        for (let pageNum = 0; pageNum < pdf.numPages; pageNum++) {
+            onProgress(pageNum, pdf.numPages);
+            const hits = await findHiddenText(await pdf.getPage(pageNum + 1), await stripped.getPage(pageNum + 1), pageNum);
+            findings.hiddenText.push(...hits);
+        }
+    } finally {
+        await stripped.destroy();
+    }
+    return findings;
+}
@@ -0,0 +1,70 @@
+// Invisible text layer for the image-only output
+//
+// Each output page is a flat image. For search, copy and screen readers the
+// page's text blocks are written on top of it in text render mode
+// "invisible", positioned per word so selection lines up with the image.
+// Characters whose box touches a redaction are left out, so the hidden text
+// never holds removed content.
+import { bboxesOverlap } from './text-layer.js';
+
+// Standard PDF fonts only cover Latin-1; anything else would come out garbled
+const UNENCODABLE = /[^\x20-\x7E\xA0-\xFF]/g;
+
+// Runs of consecutive characters of each word that lie outside every
+// redaction box. Character boxes are interpolated within the word box.
+// Returns [{ text, bbox }].
+export function visibleRuns(blocks, redactionBoxes) {
+    const runs = [];
+    for (const block of blocks) {
+        const words = block.words && block.words.length > 0
+            ? block.words
+            : [{ text: block.text, bbox: block.bbox }];
+
+        for (const word of words) {
+            const length = word.text.length;
+            if (length === 0) continue;
+            const charWidth = (word.bbox[2] - word.bbox[0]) / length;
+
+            let run = null;
+            for (let i = 0; i < length; i++) {
+                const charBox = [
+                    word.bbox[0] + i * charWidth, word.bbox[1],
+                    word.bbox[0] + (i + 1) * charWidth, word.bbox[3]
+                ];
+                if (redactionBoxes.some(box => bboxesOverlap(box, charBox))) {
+                    run = null;
+                    continue;
+                }
+                if (!run) {
+                    run = { text: '', bbox: charBox.slice() };
+                    runs.push(run);
+                }
+                run.text += word.text[i];
+                run.bbox[2] = charBox[2];
+            }
+        }
+    }
+    return runs.filter(run => run.text.trim());
+}
+
+// Write the visible runs of a page's blocks as invisible text on the
+// current jsPDF page (unit pt, same coordinates as the blocks)
+export function addInvisibleTextLayer(doc, blocks, redactionBoxes) {
+    doc.setFont('helvetica', 'normal');
+    for (const run of visibleRuns(blocks, redactionBoxes)) {
+        const text = run.text.replace(UNENCODABLE, '?');
+        const height = run.bbox[3] - run.bbox[1];
+        const width = run.bbox[2] - run.bbox[0];
+        if (height <= 0 || width <= 0) continue;
+
+        // A word box spans ascent + descent, roughly 1.15 em
+        const fontSize = height / 1.15;
+        doc.setFontSize(fontSize);
+        const naturalWidth = doc.getTextWidth(text);
+        doc.text(text, run.bbox[0], run.bbox[3] - fontSize * 0.2, {
+            renderingMode: 'invisible',
+            baseline: 'alphabetic',
+            horizontalScale: naturalWidth > 0 ? width / naturalWidth : 1
+        });
+    }
+}
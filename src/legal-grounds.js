@@ -0,0 +1,58 @@
+// Legal grounds for redaction (Dutch Woo, Wet open overheid)
+//
+// Codes are printed on redaction boxes as-is; this table only supplies the
+// descriptions for the grounds index page. Unknown codes are allowed.
+export const LEGAL_GROUNDS = {
+    '5.1.1a': 'Eenheid van de Kroon',
+    '5.1.1b': 'Veiligheid van de Staat',
+    '5.1.1c': 'Vertrouwelijk verstrekte bedrijfs- en fabricagegegevens',
+    '5.1.1d': 'Bijzondere persoonsgegevens',
+    '5.1.1e': 'Identificatienummers',
+    '5.1.2a': 'Internationale betrekkingen',
+    '5.1.2b': 'Economische of financiële belangen van de Staat',
+    '5.1.2c': 'Opsporing en vervolging van strafbare feiten',
+    '5.1.2d': 'Inspectie, controle en toezicht door bestuursorganen',
+    '5.1.2e': 'Eerbiediging van de persoonlijke levenssfeer',
+    '5.1.2f': 'Concurrentiegevoelige bedrijfs- en fabricagegegevens',
+    '5.1.2g': 'Bescherming van het milieu',
+    '5.1.2h': 'Beveiliging van personen en bedrijven',
+    '5.1.2i': 'Goed functioneren van de Staat',
+    '5.1.5': 'Onevenredige benadeling',
+    '5.2': 'Persoonlijke beleidsopvattingen'
+};
+
+export function describeGround(code) {
+    return LEGAL_GROUNDS[code] || null;
+}
+
+// Font size range (points) of a code printed on a redaction box
+const MIN_LABEL_SIZE = 4;
+const MAX_LABEL_SIZE = 10;
+
+// Place a ground code inside a redaction box of `width` x `height` points,
+// given the code's width at font size 1. The code is shrunk to fit; it is
+// never drawn beside the box, where it would black out text nobody chose to
+// redact. Returns { fontSize, x, y }, the left edge and vertical center of
+// the text relative to the box, or null when the box is too small (the code
+// is then only listed on the grounds index page).
+export function fitGroundLabel(unitWidth, width, height) {
+    // Padding of 0.3 em on either side
+    const fontSize = Math.min(MAX_LABEL_SIZE, height * 0.7, width / (unitWidth + 0.6));
+    if (fontSize < MIN_LABEL_SIZE) return null;
+    return { fontSize, x: (width - unitWidth * fontSize) / 2, y: height / 2 };
+}
+
+// Count redactions per ground and per page, sorted by code
+export function summarizeGrounds(redactions) {
+    const byGround = new Map();
+    for (const match of redactions) {
+        if (!match.ground) continue;
+        if (!byGround.has(match.ground)) {
+            byGround.set(match.ground, { code: match.ground, total: 0, pages: new Map() });
+        }
+        const entry = byGround.get(match.ground);
+        entry.total++;
+        entry.pages.set(match.pageNum, (entry.pages.get(match.pageNum) || 0) + 1);
+    }
+    return [...byGround.values()].sort((a, b) => a.code.localeCompare(b.code, undefined, { numeric: true }));
+}
@@ -1,9 +1,28 @@
 import './styles.css';
-import { PATTERNS, isPattern } from './patterns.js';
 import * as pdfjsLib from 'pdfjs-dist';
 import pdfjsWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
 import { jsPDF } from 'jspdf';
 import { createOfflineWorker } from './tesseract-loader.js';
+import { extractTextBlocks, findImageRegions, bboxesOverlap } from './text-layer.js';
+import { hashBytes, createSession, parseSession } from './session.js';
+import { buildAuditReport, reportToCSV, reportToJSON, reportToPDF } from './audit-report.js';
+import { parseTerms, combineTerms, labelOfTerm, formatTermLine } from './terms.js';
+import { effectiveDistance } from './fuzzy.js';
+import { CHECKSUMS, setCustomPatterns } from './patterns.js';
+import { loadCustomPatterns, saveCustomPattern, deleteCustomPattern, exportCustomPatterns, importCustomPatterns } from './custom-patterns.js';
+import { loadTermLists, saveTermList, deleteTermList, termListToText, exportTermLists, importTermLists } from './term-lists.js';
+import { findTermMatches, matchBoxes } from './matcher.js';
+import { describeGround, summarizeGrounds, fitGroundLabel } from './legal-grounds.js';
+import { createZip } from './zip.js';
+import { pseudonymizeDocument, pseudonymizedToText } from './pseudonymize.js';
+import { getDateShiftDays } from './dates.js';
+import { normalizeText } from './normalize.js';
+import { addInvisibleTextLayer } from './invisible-text.js';
+import { redactVector } from './vector-redact.js';
+import { finalizePdf } from './pdf-writer.js';
+import { inspectDocument } from './inspect.js';
+import { OUTPUT_PRESETS, DEFAULT_PRESET, presetScale, applyColorDepth, encodeCanvas, formatBytes } from './output-presets.js';
+import { version as TOOL_VERSION } from '../package.json';
 
 // PDF.js worker setup
 pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjsWorkerUrl;
@@ -11,8 +30,28 @@ pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjsWorkerUrl;
 // State
 let pdfDocument = null;
 let pdfData = null;
+// Password the active document was opened with; kept in memory only
+let pdfPassword = '';
+let pdfHash = null;
 let matches = [];
 let pageImages = [];
+// Matches suppressed per exclusion rule in the last scan: Map<rule line, count>
+let suppressedCounts = new Map();
+
+// Batch mode: one entry per file, each holding its own document state.
+// The active entry's state lives in the globals above while it is reviewed.
+let batchItems = [];
+let activeBatchItem = null;
+
+// Names of saved term lists ticked for use in the next scan
+const activeTermLists = new Set();
+
+// Deferred download while the user reviews leaks found by verification
+let pendingLeakDownload = null;
+
+// Pre-flight inspection findings per loaded document (see inspect.js)
+const inspections = new WeakMap();
+let inspectionRun = 0;
 
 // Drawing state for manual redaction boxes
 let isDrawing = false;
@@ -22,8 +61,9 @@ let currentDrawingPage = null;
 let drawPreviewElement = null;
 
 // OCR cache: Map<pageNum, blocks[]>
-// Cleared when new document is loaded
-const ocrCache = new Map();
+// Holds text-layer blocks for born-digital pages and OCR blocks for scans
+// Cleared when new document is loaded; swapped per file in batch mode
+let ocrCache = new Map();
 
 // Worker pool for parallel OCR
 const WORKER_POOL_SIZE = Math.min(navigator.hardwareConcurrency || 4, 4);
@@ -36,13 +76,57 @@ const uploadZone = document.getElementById('uploadZone');
 const fileInfo = document.getElementById('fileInfo');
 const fileName = document.getElementById('fileName');
 const pageCount = document.getElementById('pageCount');
+const inspectionPanel = document.getElementById('inspectionPanel');
+const inspectionProgress = document.getElementById('inspectionProgress');
+const inspectionItems = document.getElementById('inspectionItems');
+const redactHiddenTextBtn = document.getElementById('redactHiddenTextBtn');
+const batchQueue = document.getElementById('batchQueue');
+const batchItemsEl = document.getElementById('batchItems');
+const scanAllBtn = document.getElementById('scanAllBtn');
+const downloadZipBtn = document.getElementById('downloadZipBtn');
 const termsInput = document.getElementById('termsInput');
+const groundInput = document.getElementById('groundInput');
+const termListItems = document.getElementById('termListItems');
+const saveTermListBtn = document.getElementById('saveTermListBtn');
+const importTermListsBtn = document.getElementById('importTermListsBtn');
+const exportTermListsBtn = document.getElementById('exportTermListsBtn');
+const termListsInput = document.getElementById('termListsInput');
+const customPatternItems = document.getElementById('customPatternItems');
+const customPatternForm = document.getElementById('customPatternForm');
+const customPatternChecksum = document.getElementById('customPatternChecksum');
+const importPatternsBtn = document.getElementById('importPatternsBtn');
+const exportPatternsBtn = document.getElementById('exportPatternsBtn');
+const patternsInput = document.getElementById('patternsInput');
+const patternHelpList = document.getElementById('patternHelpList');
 const scanBtn = document.getElementById('scanBtn');
 const processBtn = document.getElementById('processBtn');
+const outputPresetSelect = document.getElementById('outputPresetSelect');
+const sizeEstimate = document.getElementById('sizeEstimate');
+const outputTitleInput = document.getElementById('outputTitleInput');
+const encryptOutputCheckbox = document.getElementById('encryptOutputCheckbox');
+const outputPasswordInput = document.getElementById('outputPasswordInput');
+const passwordDialog = document.getElementById('passwordDialog');
+const passwordPrompt = document.getElementById('passwordPrompt');
+const passwordInput = document.getElementById('passwordInput');
+const groundsIndexCheckbox = document.getElementById('groundsIndexCheckbox');
+const textLayerCheckbox = document.getElementById('textLayerCheckbox');
+const verifyCheckbox = document.getElementById('verifyCheckbox');
+const leakPanel = document.getElementById('leakPanel');
+const leakItems = document.getElementById('leakItems');
+const redactLeaksBtn = document.getElementById('redactLeaksBtn');
+const acknowledgeLeaksBtn = document.getElementById('acknowledgeLeaksBtn');
+const reportCheckbox = document.getElementById('reportCheckbox');
+const reportPdfCheckbox = document.getElementById('reportPdfCheckbox');
+const pseudonymizeBtn = document.getElementById('pseudonymizeBtn');
+const dateModeSelect = document.getElementById('dateModeSelect');
+const saveSessionBtn = document.getElementById('saveSessionBtn');
+const openSessionBtn = document.getElementById('openSessionBtn');
+const sessionInput = document.getElementById('sessionInput');
 const previewPlaceholder = document.getElementById('previewPlaceholder');
 const previewScroll = document.getElementById('previewScroll');
 const matchList = document.getElementById('matchList');
 const matchItems = document.getElementById('matchItems');
+const suppressedInfo = document.getElementById('suppressedInfo');
 const matchCount = document.getElementById('matchCount');
 const progressContainer = document.getElementById('progressContainer');
 const progressFill = document.getElementById('progressFill');
@@ -104,30 +188,56 @@ uploadZone.addEventListener('drop', (e) => {
     e.preventDefault();
     uploadZone.classList.remove('dragover');
     if (e.dataTransfer.files.length) {
-        handleFile(e.dataTransfer.files[0]);
+        handleFiles(e.dataTransfer.files);
     }
 });
 
 fileInput.addEventListener('change', (e) => {
     if (e.target.files.length) {
-        handleFile(e.target.files[0]);
+        handleFiles(e.target.files);
     }
+    fileInput.value = '';
 });
 
+// One file opens it directly; several start a batch
+function handleFiles(files) {
+    if (files.length === 1) {
+        // handleFile leaves a running batch once the file has opened
+        handleFile(files[0]);
+        return;
+    }
+
+    const pdfs = [...files].filter(f => f.name.toLowerCase().endsWith('.pdf'));
+    if (pdfs.length === 0) {
+        showStatus('Please select PDF files', 'error');
+        return;
+    }
+    startBatch(pdfs);
+}
+
 async function handleFile(file) {
     if (!file.name.toLowerCase().endsWith('.pdf')) {
         showStatus('Please select a PDF file', 'error');
         return;
     }
 
-    // Clear OCR cache for new document
-    ocrCache.clear();
-
     showStatus('Loading PDF...');
 
     try {
-        pdfData = new Uint8Array(await file.arrayBuffer());
-        pdfDocument = await pdfjsLib.getDocument({ data: pdfData.slice() }).promise;
+        // The previous document stays active until the new one has opened
+        const data = new Uint8Array(await file.arrayBuffer());
+        const hash = await hashBytes(data);
+        const { pdf, password } = await openPdf(data, file.name);
+        pdfData = data;
+        pdfHash = hash;
+        pdfDocument = pdf;
+        pdfPassword = password;
+        exitBatch();
+
+        // Fresh OCR cache for new document
+        ocrCache = new Map();
+        openSessionBtn.disabled = true;
+        hideInspection();
 
         const numPages = pdfDocument.numPages;
 
@@ -140,18 +250,171 @@ async function handleFile(file) {
 
         // Clear previous matches
         matches = [];
+        suppressedCounts = new Map();
         matchList.classList.add('hidden');
+        hideLeaks();
         processBtn.disabled = true;
+        saveSessionBtn.disabled = true;
+        pseudonymizeBtn.disabled = true;
 
         // Generate previews
         await generatePreviews();
 
+        // Sessions restore overlays onto the previews, so allow them only now
+        openSessionBtn.disabled = false;
+
+        inspectActiveDocument();
+
     } catch (err) {
         console.error(err);
         showStatus(`Error loading PDF: ${err.message}`, 'error');
     }
 }
 
+// Open a PDF in pdf.js, asking for the password when it is encrypted.
+// Returns { pdf, password }; the password is only kept in memory.
+async function openPdf(data, name) {
+    const task = pdfjsLib.getDocument({ data: data.slice() });
+    let password = '';
+    let cancelled = false;
+    task.onPassword = async (updatePassword, reason) => {
+        const retry = reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+        const entered = await askPassword(`${name} is password protected.${retry ? ' The password was incorrect.' : ''}`);
+        if (entered === null) {
+            cancelled = true;
+            task.destroy();
+            return;
+        }
+        password = entered;
+        updatePassword(entered);
+    };
+    try {
+        return { pdf: await task.promise, password };
+    } catch (err) {
+        if (cancelled) throw new Error('no password given');
+        throw err;
+    }
+}
+
+// Password dialog; resolves to the password, or null when cancelled
+function askPassword(message) {
+    passwordPrompt.textContent = message;
+    passwordInput.value = '';
+    passwordDialog.returnValue = '';
+    passwordDialog.showModal();
+    return new Promise(resolve => {
+        passwordDialog.addEventListener('close', () => {
+            const password = passwordDialog.returnValue === 'ok' ? passwordInput.value : null;
+            passwordInput.value = '';
+            resolve(password);
+        }, { once: true });
+    });
+}
+
+// Pre-flight inspection: list metadata, comments, form values, attachments,
+// scripts, bookmarks and hidden text of the active document. Runs in the
+// background after loading; a newer run makes an older one stop.
+async function inspectActiveDocument() {
+    const run = ++inspectionRun;
+    const pdf = pdfDocument;
+    inspectionPanel.classList.remove('hidden');
+    inspectionItems.innerHTML = '';
+    redactHiddenTextBtn.classList.add('hidden');
+
+    if (!inspections.has(pdf)) {
+        inspectionProgress.textContent = 'inspecting...';
+        try {
+            const data = pdfData;
+            inspections.set(pdf, await inspectDocument(pdf, data, {
+                password: pdfPassword,
+                onProgress: (pageNum, numPages) => {
+                    if (run === inspectionRun) inspectionProgress.textContent = `checking for hidden text: page ${pageNum + 1} of ${numPages}`;
+                }
+            }));
+        } catch (err) {
+            console.error(err);
+            if (run === inspectionRun) inspectionProgress.textContent = `failed: ${err.message}`;
+            return;
+        }
+    }
+    if (run !== inspectionRun) return;
+    inspectionProgress.textContent = '';
+    renderInspection(inspections.get(pdf));
+}
+
+function hideInspection() {
+    inspectionRun++;
+    inspectionPanel.classList.add('hidden');
+}
+
+function renderInspection(findings) {
+    const sections = [
+        ['Document metadata', findings.metadata.map(m => `${m.source} ${m.key}: ${m.value}`)],
+        ['Comments', findings.annotations.map(a =>
+            `Page ${a.pageNum + 1}, ${a.type}${a.author ? ` by ${a.author}` : ''}${a.text ? `: ${a.text}` : ''}`)],
+        ['Form field values', findings.fields.map(f => `${f.name}: ${f.value}`)],
+        ['Attachments', findings.attachments.map(a =>
+            `${a.name}${a.size !== null ? ` (${formatBytes(a.size)})` : ''}${a.pageNum !== null ? `, page ${a.pageNum + 1}` : ''}`)],
+        ['JavaScript', findings.javascript.map(j => `${j.where}: ${j.code}`)],
+        ['Bookmarks', findings.bookmarks.map(b => `${'\u00a0\u00a0'.repeat(b.depth)}${b.title}`)],
+        ['Hidden text', findings.hiddenText.map(h => `Page ${h.pageNum + 1}: "${h.text}" (${h.reason})`)]
+    ];
+
+    inspectionItems.innerHTML = '';
+    for (const [title, lines] of sections) {
+        if (lines.length === 0) continue;
+        const section = document.createElement('details');
+        section.className = 'inspection-section';
+        if (title === 'Hidden text' || title === 'JavaScript') section.classList.add('warning');
+        section.innerHTML = `<summary>${title} (${lines.length})</summary>
+            <ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`;
+        inspectionItems.appendChild(section);
+    }
+
+    const note = document.createElement('div');
+    note.className = 'inspection-note';
+    note.textContent = inspectionItems.children.length === 0
+        ? 'Nothing found besides the page content.'
+        : 'Hidden text stays in vector output and in the searchable text layer unless redacted. Of the rest, raster output keeps nothing; vector output drops metadata, scripts and attachments but keeps comments, form fields and bookmarks.';
+    inspectionItems.appendChild(note);
+    if (findings.hiddenTextError) {
+        const skipped = document.createElement('div');
+        skipped.className = 'inspection-note';
+        skipped.textContent = `Hidden text check skipped: ${findings.hiddenTextError}`;
+        inspectionItems.appendChild(skipped);
+    }
+
+    redactHiddenTextBtn.classList.toggle('hidden', findings.hiddenText.length === 0);
+    redactHiddenTextBtn.disabled = matches.some(m => m.hiddenReason);
+}
+
+// Turn the hidden text hits into (slightly padded) manual redactions
+redactHiddenTextBtn.addEventListener('click', () => {
+    const findings = inspections.get(pdfDocument);
+    if (!findings) return;
+
+    const ground = groundInput.value.trim() || null;
+    for (const hit of findings.hiddenText) {
+        matches.push({
+            text: hit.text,
+            term: '__hidden__',
+            bbox: [hit.bbox[0] - 1, hit.bbox[1] - 1, hit.bbox[2] + 1, hit.bbox[3] + 1],
+            pageNum: hit.pageNum,
+            isManual: true,
+            hiddenReason: hit.reason,
+            ground,
+            excluded: false
+        });
+    }
+
+    redactHiddenTextBtn.disabled = true;
+    updateMatchDisplay();
+    processBtn.disabled = includedMatches().length === 0;
+    saveSessionBtn.disabled = false;
+    if (activeBatchItem) renderBatchQueue();
+    showStatus(`${findings.hiddenText.length} hidden text hit${findings.hiddenText.length !== 1 ? 's' : ''} added as redactions`, 'success');
+});
+
 async function generatePreviews() {
     if (!pdfDocument) return;
 
@@ -203,95 +466,186 @@ async function generatePreviews() {
         // Yield to let the browser paint each page progressively
         await new Promise(r => setTimeout(r, 0));
     }
+
+    updateSizeEstimate();
 }
 
-// Term input handler
-termsInput.addEventListener('input', () => {
-    scanBtn.disabled = !pdfDocument || !termsInput.value.trim();
-});
+// Render a page for output at the preset's resolution
+async function renderOutputPage(page, preset) {
+    const baseVp = page.getViewport({ scale: 1 });
+    const scale = presetScale(preset, baseVp);
+    const viewport = page.getViewport({ scale });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    const ctx = canvas.getContext('2d');
+    await page.render({ canvasContext: ctx, viewport }).promise;
+    return { canvas, ctx, scale, baseVp };
+}
+
+// Estimated output size for the selected preset: encode the first, middle
+// and last page and extrapolate to the whole document
+let sizeEstimateRun = 0;
+
+async function updateSizeEstimate() {
+    const run = ++sizeEstimateRun;
+    if (!pdfDocument) {
+        sizeEstimate.textContent = '';
+        return;
+    }
 
-// Estimate bounding box for a substring within a text block (fallback)
-function estimateBbox(block, charIndex, charLength) {
-    const text = block.text;
-    const bbox = block.bbox; // [x0, y0, x1, y1]
+    const preset = OUTPUT_PRESETS[outputPresetSelect.value];
+    if (preset.vector) {
+        sizeEstimate.textContent = `Estimated size: ~${formatBytes(pdfData.length)} (about the original)`;
+        return;
+    }
+    const numPages = pdfDocument.numPages;
+    const samples = [...new Set([1, Math.ceil(numPages / 2), numPages])];
+    sizeEstimate.textContent = 'Estimating size...';
 
-    if (!text || text.length === 0) return bbox;
+    try {
+        let bytes = 0;
+        for (const pageNum of samples) {
+            const page = await pdfDocument.getPage(pageNum);
+            const { canvas, baseVp } = await renderOutputPage(page, preset);
+            applyColorDepth(canvas, preset);
+            // Measure the page as jsPDF writes it, not the browser's encoding
+            const { data, format, compression } = await encodeCanvas(canvas, preset);
+            const doc = new jsPDF({ unit: 'pt', format: [baseVp.width, baseVp.height] });
+            doc.addImage(data, format, 0, 0, baseVp.width, baseVp.height, undefined, compression);
+            bytes += doc.output('arraybuffer').byteLength;
+            // A newer estimate (other preset or document) took over
+            if (run !== sizeEstimateRun) return;
+        }
+        sizeEstimate.textContent = `Estimated size: ~${formatBytes(bytes / samples.length * numPages)}`;
+    } catch (err) {
+        console.error(err);
+        if (run === sizeEstimateRun) sizeEstimate.textContent = '';
+    }
+}
+
+for (const [key, preset] of Object.entries(OUTPUT_PRESETS)) {
+    outputPresetSelect.add(new Option(preset.label, key, false, key === DEFAULT_PRESET));
+}
+outputPresetSelect.addEventListener('change', updateSizeEstimate);
 
-    const lineWidth = bbox[2] - bbox[0];
-    const charWidth = lineWidth / text.length;
+encryptOutputCheckbox.addEventListener('change', () => {
+    outputPasswordInput.classList.toggle('hidden', !encryptOutputCheckbox.checked);
+    if (encryptOutputCheckbox.checked) outputPasswordInput.focus();
+});
+
+// Term input handler
+termsInput.addEventListener('input', updateScanButtons);
 
-    const x0 = bbox[0] + charIndex * charWidth;
-    const x1 = bbox[0] + (charIndex + charLength) * charWidth;
+function updateScanButtons() {
+    const hasTerms = getScanTerms().length > 0;
+    scanBtn.disabled = !pdfDocument || !hasTerms;
+    scanAllBtn.disabled = batchItems.length === 0 || !hasTerms;
+}
 
-    return [x0, bbox[1], x1, bbox[3]];
+// Terms for a scan: the terms input plus every saved list ticked for use.
+// Terms without their own ground code get the default ground.
+function getScanTerms() {
+    const defaultGround = groundInput.value.trim() || null;
+    const lists = loadTermLists().filter(l => activeTermLists.has(l.name));
+    return combineTerms(parseTerms(termsInput.value), ...lists.map(l => l.terms))
+        .map(t => (t.exclude ? t : { ...t, ground: t.ground || defaultGround }));
 }
 
-// Find precise bounding box using word-level OCR data
-function findMatchBbox(block, matchText, charIndex) {
-    if (!block.words || block.words.length === 0) {
-        return estimateBbox(block, charIndex, matchText.length);
+// Saved term lists
+function renderTermLists() {
+    const lists = loadTermLists();
+    termListItems.innerHTML = '';
+
+    // Forget ticks for lists that no longer exist
+    for (const name of [...activeTermLists]) {
+        if (!lists.some(l => l.name === name)) activeTermLists.delete(name);
     }
 
-    // Build character position → word mapping (with position within word)
-    let charPos = 0;
-    const charToWord = [];
-    for (const word of block.words) {
-        for (let i = 0; i < word.text.length; i++) {
-            charToWord.push({ word, posInWord: i });
-        }
-        charPos += word.text.length;
-        // Account for space between words
-        if (charPos < block.text.length && block.text[charPos] === ' ') {
-            charToWord.push(null); // space
-            charPos++;
-        }
+    if (lists.length === 0) {
+        termListItems.innerHTML = '<p class="term-list-empty">No saved lists yet.</p>';
     }
 
-    const startIdx = charIndex;
-    const endIdx = charIndex + matchText.length - 1;
+    for (const list of lists) {
+        const row = document.createElement('div');
+        row.className = 'term-list-item';
+
+        const label = document.createElement('label');
+        const use = document.createElement('input');
+        use.type = 'checkbox';
+        use.checked = activeTermLists.has(list.name);
+        use.title = 'Include this list in the scan';
+        use.addEventListener('change', () => {
+            if (use.checked) activeTermLists.add(list.name);
+            else activeTermLists.delete(list.name);
+            updateScanButtons();
+        });
+        label.appendChild(use);
+        label.append(` ${list.name} (${list.terms.length})`);
+
+        const loadBtn = document.createElement('button');
+        loadBtn.className = 'link-btn';
+        loadBtn.textContent = 'Edit';
+        loadBtn.title = 'Load this list into the terms box (replaces its contents)';
+        loadBtn.addEventListener('click', () => {
+            termsInput.value = termListToText(list);
+            updateScanButtons();
+        });
 
-    // Collect matched words with their character ranges
-    const wordRanges = new Map(); // word -> { startPos, endPos }
-    for (let i = startIdx; i <= endIdx && i < charToWord.length; i++) {
-        const entry = charToWord[i];
-        if (entry) {
-            if (!wordRanges.has(entry.word)) {
-                wordRanges.set(entry.word, { startPos: entry.posInWord, endPos: entry.posInWord });
-            } else {
-                wordRanges.get(entry.word).endPos = entry.posInWord;
-            }
-        }
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'link-btn';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => {
+            if (!confirm(`Delete term list "${list.name}"?`)) return;
+            deleteTermList(list.name);
+            renderTermLists();
+            updateScanButtons();
+        });
+
+        row.append(label, loadBtn, deleteBtn);
+        termListItems.appendChild(row);
     }
+}
 
-    if (wordRanges.size === 0) {
-        return estimateBbox(block, charIndex, matchText.length);
+saveTermListBtn.addEventListener('click', () => {
+    if (!termsInput.value.trim()) {
+        showStatus('Enter some terms first, then save them as a list', 'error');
+        return;
     }
+    const name = prompt('Name for this term list (an existing list with this name is replaced):');
+    if (!name || !name.trim()) return;
+    const list = saveTermList(name.trim(), termsInput.value);
+    renderTermLists();
+    showStatus(`Saved term list "${list.name}" (${list.terms.length} terms)`, 'success');
+});
 
-    // Calculate bbox: for partial matches, interpolate within the word
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+exportTermListsBtn.addEventListener('click', () => {
+    const lists = loadTermLists();
+    const names = activeTermLists.size > 0 ? [...activeTermLists] : lists.map(l => l.name);
+    if (names.length === 0) {
+        showStatus('No saved term lists to export', 'error');
+        return;
+    }
+    downloadBlob(new Blob([exportTermLists(names)], { type: 'application/json' }), 'term-lists.json');
+});
 
-    for (const [word, range] of wordRanges) {
-        const wordLen = word.text.length;
-        const wordWidth = word.bbox[2] - word.bbox[0];
-        const charWidth = wordWidth / wordLen;
+importTermListsBtn.addEventListener('click', () => termListsInput.click());
 
-        // If full word matched, use full bbox
-        if (range.startPos === 0 && range.endPos === wordLen - 1) {
-            minX = Math.min(minX, word.bbox[0]);
-            maxX = Math.max(maxX, word.bbox[2]);
-        } else {
-            // Partial match: interpolate within word
-            const x0 = word.bbox[0] + range.startPos * charWidth;
-            const x1 = word.bbox[0] + (range.endPos + 1) * charWidth;
-            minX = Math.min(minX, x0);
-            maxX = Math.max(maxX, x1);
-        }
-        minY = Math.min(minY, word.bbox[1]);
-        maxY = Math.max(maxY, word.bbox[3]);
-    }
+termListsInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    termListsInput.value = '';
+    if (!file) return;
 
-    return [minX, minY, maxX, maxY];
-}
+    try {
+        const names = importTermLists(await file.text());
+        renderTermLists();
+        showStatus(`Imported ${names.length} term list${names.length !== 1 ? 's' : ''}: ${names.join(', ')}`, 'success');
+    } catch (err) {
+        console.error(err);
+        showStatus(`Error importing term lists: ${err.message}`, 'error');
+    }
+});
 
 // Initialize worker pool for parallel OCR
 async function initWorkerPool() {
@@ -314,33 +668,15 @@ async function initWorkerPool() {
     }
 }
 
-// Perform OCR on a page using a specific worker (for parallel processing)
-async function ocrPageWithWorker(pageNum, worker) {
-    // Check cache first
-    if (ocrCache.has(pageNum)) {
-        return { pageNum, blocks: ocrCache.get(pageNum) };
-    }
-
-    const page = await pdfDocument.getPage(pageNum + 1); // PDF.js is 1-indexed
-
-    // Render at high resolution for OCR
-    const scale = Math.max(300 / 72, 2); // At least 300 DPI
-    const viewport = page.getViewport({ scale });
-
-    const canvas = document.createElement('canvas');
-    canvas.width = viewport.width;
-    canvas.height = viewport.height;
-    const ctx = canvas.getContext('2d');
-    await page.render({ canvasContext: ctx, viewport }).promise;
-
-    // Run OCR with specific worker
-    const result = await worker.recognize(canvas);
-
-    // Return LINE-level blocks with embedded WORD bboxes for precise matching
+// Convert a Tesseract result into LINE-level blocks with embedded WORD bboxes
+// for precise matching. Bboxes are scaled back to PDF coordinates.
+function resultToBlocks(result, scale) {
     const blocks = [];
     for (const line of result.data.lines) {
+        if (!line.text.trim()) continue;
+
         const words = line.words.map(word => ({
-            text: word.text,
+            text: normalizeText(word.text),
             bbox: [
                 word.bbox.x0 / scale,
                 word.bbox.y0 / scale,
@@ -350,7 +686,7 @@ async function ocrPageWithWorker(pageNum, worker) {
         }));
 
         blocks.push({
-            text: line.text,
+            text: normalizeText(line.text),
             bbox: [
                 line.bbox.x0 / scale,
                 line.bbox.y0 / scale,
@@ -362,55 +698,129 @@ async function ocrPageWithWorker(pageNum, worker) {
             words  // word-level data for precise bbox lookup
         });
     }
+    return blocks;
+}
+
+// Render a pdf.js page at OCR resolution
+async function renderPageForOcr(page) {
+    // Render at high resolution for OCR
+    const scale = Math.max(300 / 72, 2); // At least 300 DPI
+    const viewport = page.getViewport({ scale });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    const ctx = canvas.getContext('2d');
+    await page.render({ canvasContext: ctx, viewport }).promise;
+
+    return { canvas, scale };
+}
+
+// Perform OCR on a page using a specific worker (for parallel processing)
+async function ocrPageWithWorker(pageNum, worker) {
+    // Check cache first
+    if (ocrCache.has(pageNum)) {
+        return { pageNum, blocks: ocrCache.get(pageNum) };
+    }
+
+    const page = await pdfDocument.getPage(pageNum + 1); // PDF.js is 1-indexed
+    const { canvas, scale } = await renderPageForOcr(page);
+
+    // Run OCR with specific worker
+    const result = await worker.recognize(canvas);
+    const blocks = resultToBlocks(result, scale);
 
     // Cache result
     ocrCache.set(pageNum, blocks);
     return { pageNum, blocks };
 }
 
-// Process multiple pages in parallel using worker pool
-async function ocrPagesParallel(pageNumbers, onProgress) {
-    const results = new Map();
+// OCR only the image regions of a page that has a text layer. The page is
+// cached with its text layer `blocks` and the OCR'd blocks once all regions
+// are done, so a failed run leaves it uncached.
+async function ocrImageRegionsWithWorker(pageNum, textBlocks, regions, worker) {
+    const page = await pdfDocument.getPage(pageNum + 1); // PDF.js is 1-indexed
+    const { canvas, scale } = await renderPageForOcr(page);
+    const blocks = [...textBlocks];
+
+    for (const region of regions) {
+        const left = Math.floor(region[0] * scale);
+        const top = Math.floor(region[1] * scale);
+        const result = await worker.recognize(canvas, {
+            rectangle: {
+                left,
+                top,
+                width: Math.min(canvas.width - left, Math.ceil((region[2] - region[0]) * scale)),
+                height: Math.min(canvas.height - top, Math.ceil((region[3] - region[1]) * scale))
+            }
+        });
+        blocks.push(...resultToBlocks(result, scale));
+    }
+
+    ocrCache.set(pageNum, blocks);
+    return { pageNum, blocks };
+}
+
+// Run jobs across the worker pool, WORKER_POOL_SIZE at a time.
+// Each job is a function that receives a worker and returns a promise.
+async function runOnWorkerPool(jobs, onProgress) {
+    const results = [];
     let completed = 0;
 
-    // Process in batches of WORKER_POOL_SIZE
-    for (let i = 0; i < pageNumbers.length; i += WORKER_POOL_SIZE) {
-        const batch = pageNumbers.slice(i, i + WORKER_POOL_SIZE);
+    for (let i = 0; i < jobs.length; i += WORKER_POOL_SIZE) {
+        const batch = jobs.slice(i, i + WORKER_POOL_SIZE);
+        results.push(...await Promise.all(batch.map((job, idx) => job(workerPool[idx]))));
 
-        const batchPromises = batch.map((pageNum, idx) =>
-            ocrPageWithWorker(pageNum, workerPool[idx])
-        );
+        completed += batch.length;
+        onProgress(completed, jobs.length);
+    }
 
-        const batchResults = await Promise.all(batchPromises);
+    return results;
+}
 
-        for (const { pageNum, blocks } of batchResults) {
-            results.set(pageNum, blocks);
-        }
+// Process multiple pages in parallel using worker pool
+async function ocrPagesParallel(pageNumbers, onProgress) {
+    const results = new Map();
+    const batchResults = await runOnWorkerPool(
+        pageNumbers.map(pageNum => (worker) => ocrPageWithWorker(pageNum, worker)),
+        onProgress
+    );
 
-        completed += batch.length;
-        onProgress(completed, pageNumbers.length);
+    for (const { pageNum, blocks } of batchResults) {
+        results.set(pageNum, blocks);
     }
 
     return results;
 }
 
-// Scan for matches
-scanBtn.addEventListener('click', async () => {
-    if (!pdfDocument || !termsInput.value.trim()) return;
+// Read the native text layer of a page. Returns { blocks, regions } with the
+// image regions that still need OCR, or null when the page has no
+// extractable text at all and must be OCR'd as a whole. A page without such
+// regions is complete and goes into the OCR cache right away.
+async function extractTextLayer(pageNum) {
+    const page = await pdfDocument.getPage(pageNum + 1); // PDF.js is 1-indexed
+    const blocks = await extractTextBlocks(page);
+    if (blocks.length === 0) return null;
+
+    // Images without any text on top of them may contain text of their own
+    const regions = (await findImageRegions(page)).filter(region =>
+        !blocks.some(block => block.words.some(word => bboxesOverlap(word.bbox, region)))
+    );
+    if (regions.length === 0) ocrCache.set(pageNum, blocks);
+    return { blocks, regions };
+}
 
-    showStatus('Scanning for matches...');
-    // Preserve manual redactions when rescanning
+// Scan the active document: extract text / OCR every page (cached) and
+// search it with the parsed terms. Manual redactions and review decisions
+// survive a rescan. Returns false if OCR failed (the error is shown).
+async function scanActiveDocument(terms) {
+    // Preserve manual redactions and review decisions when rescanning
     const manualMatches = matches.filter(m => m.isManual);
-    matches = [...manualMatches];
-
-    const terms = termsInput.value
-        .split('\n')
-        .map(t => t.trim())
-        .filter(t => t);
+    const excludedKeys = new Set(matches.filter(m => m.excluded).map(matchKey));
 
     const numPages = pdfDocument.numPages;
 
-    // PHASE 1: OCR all pages (with caching)
+    // PHASE 1: Extract text / OCR all pages (with caching)
     const allPages = [];
     for (let i = 0; i < numPages; i++) {
         allPages.push(i);
@@ -418,56 +828,55 @@ scanBtn.addEventListener('click', async () => {
 
     const uncachedPages = allPages.filter(p => !ocrCache.has(p));
 
-    if (uncachedPages.length > 0) {
+    // Use the native text layer where there is one; only pages without
+    // text (scans) and image regions on text pages go through OCR
+    const ocrPages = [];
+    const imageRegionJobs = [];
+    for (const pageNum of uncachedPages) {
+        showProgress((pageNum / numPages) * 10, `Reading text layer: page ${pageNum + 1} of ${numPages}`);
+        const layer = await extractTextLayer(pageNum);
+        if (layer === null) {
+            ocrPages.push(pageNum);
+        } else if (layer.regions.length > 0) {
+            imageRegionJobs.push((worker) => ocrImageRegionsWithWorker(pageNum, layer.blocks, layer.regions, worker));
+        }
+    }
+
+    if (ocrPages.length > 0 || imageRegionJobs.length > 0) {
         try {
             await initWorkerPool();
         } catch (err) {
-            return; // Error already shown
+            hideProgress();
+            return false; // Error already shown
         }
 
-        showStatus(`Running OCR on ${uncachedPages.length} pages...`);
+        showStatus(`Running OCR on ${ocrPages.length + imageRegionJobs.length} pages...`);
 
-        await ocrPagesParallel(uncachedPages, (done, total) => {
-            showProgress((done / total) * 50, `OCR: ${done}/${total} pages`);
-        });
+        try {
+            await ocrPagesParallel(ocrPages, (done, total) => {
+                showProgress(10 + (done / total) * 30, `OCR: ${done}/${total} pages`);
+            });
+            await runOnWorkerPool(imageRegionJobs, (done, total) => {
+                showProgress(40 + (done / total) * 10, `OCR: ${done}/${total} image regions`);
+            });
+        } catch (err) {
+            console.error(err);
+            hideProgress();
+            showStatus(`OCR failed: ${err.message}`, 'error');
+            return false;
+        }
     }
 
-    // PHASE 2: Search OCR results for matches
+    // PHASE 2: Search text blocks for matches
+    matches = [...manualMatches];
+    suppressedCounts = new Map();
     for (let pageNum = 0; pageNum < numPages; pageNum++) {
         showProgress(50 + (pageNum / numPages) * 50, `Searching page ${pageNum + 1} of ${numPages}...`);
 
         if (ocrCache.has(pageNum)) {
-            const ocrBlocks = ocrCache.get(pageNum);
-            for (const term of terms) {
-                let regex, validate;
-                if (isPattern(term)) {
-                    const pattern = PATTERNS[term];
-                    regex = new RegExp(pattern.regex.source, pattern.regex.flags);
-                    validate = pattern.validate;
-                } else {
-                    try {
-                        regex = new RegExp(term, 'gi');
-                    } catch (e) {
-                        regex = new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
-                    }
-                    validate = () => true;
-                }
-
-                for (const block of ocrBlocks) {
-                    regex.lastIndex = 0;
-                    let match;
-                    while ((match = regex.exec(block.text)) !== null) {
-                        if (!validate(match[0])) continue;
-                        // Get precise bbox using word-level OCR data
-                        const estBbox = findMatchBbox(block, match[0], match.index);
-                        matches.push({
-                            text: match[0],
-                            term,
-                            bbox: estBbox,
-                            pageNum
-                        });
-                    }
-                }
+            for (const newMatch of findTermMatches(ocrCache.get(pageNum), terms, pageNum, suppressedCounts)) {
+                newMatch.excluded = excludedKeys.has(matchKey(newMatch));
+                matches.push(newMatch);
             }
         }
 
@@ -475,56 +884,250 @@ scanBtn.addEventListener('click', async () => {
         await new Promise(r => setTimeout(r, 0));
     }
 
+    return true;
+}
+
+// Scan for matches
+scanBtn.addEventListener('click', async () => {
+    const terms = getScanTerms();
+    if (!pdfDocument || terms.length === 0) return;
+
+    showStatus('Scanning for matches...');
+
+    try {
+        if (!await scanActiveDocument(terms)) return;
+    } catch (err) {
+        console.error(err);
+        hideProgress();
+        showStatus(`Error during scan: ${err.message}`, 'error');
+        return;
+    }
+
     // Update UI with matches
     updateMatchDisplay();
     hideProgress();
+    saveSessionBtn.disabled = false;
+    pseudonymizeBtn.disabled = false;
+    updateBatchItemFromActive();
 
     if (matches.length > 0) {
-        showStatus(`Found ${matches.length} match${matches.length !== 1 ? 'es' : ''} to redact`, 'success');
-        processBtn.disabled = false;
+        showStatus(`Found ${matches.length} match${matches.length !== 1 ? 'es' : ''} to redact.${fuzzyDistanceNote(terms)}`, 'success');
+        processBtn.disabled = includedMatches().length === 0;
     } else {
-        showStatus('No matches found. Try different search terms.', 'error');
+        showStatus(`No matches found. Try different search terms.${fuzzyDistanceNote(terms)}`, 'error');
         processBtn.disabled = true;
     }
 });
 
+// Fuzzy terms allow at most one edit per four letters (see fuzzy.js); name
+// the terms whose requested distance was reduced
+function fuzzyDistanceNote(terms) {
+    const reduced = terms
+        .filter(t => t.fuzzy && effectiveDistance(t.term, t.fuzzy) < t.fuzzy)
+        .map(t => {
+            const distance = effectiveDistance(t.term, t.fuzzy);
+            return `${formatTermLine(t)} (${distance === 0 ? 'exact' : `${distance} edit${distance !== 1 ? 's' : ''}`})`;
+        });
+    return reduced.length > 0 ? ` Fuzzy distance reduced for short terms: ${reduced.join(', ')}.` : '';
+}
+
+// Identity of a match across rescans, used to carry over review decisions
+function matchKey(match) {
+    return [match.pageNum, match.term, match.text, ...match.bbox.map(v => v.toFixed(1))].join('|');
+}
+
+// Matches that will actually be redacted
+function includedMatches() {
+    return matches.filter(m => !m.excluded);
+}
+
+function updateMatchCounts() {
+    const excluded = matches.length - includedMatches().length;
+    matchCount.textContent = excluded > 0
+        ? `${matches.length} (${excluded} excluded)`
+        : matches.length;
+}
+
+// Review: set the excluded state of every match that satisfies `predicate`
+function setMatchesExcluded(predicate, excluded) {
+    for (const match of matches) {
+        if (predicate(match)) match.excluded = excluded;
+    }
+    updateMatchDisplay();
+    processBtn.disabled = includedMatches().length === 0;
+    if (activeBatchItem) renderBatchQueue();
+}
+
+function toggleMatch(index) {
+    const match = matches[index];
+    if (!match) return;
+    setMatchesExcluded(m => m === match, !match.excluded);
+}
+
+// Get (or create, in page order) the list group for a page
+function getMatchPageGroup(pageNum) {
+    let group = matchItems.querySelector(`.match-page-group[data-page="${pageNum}"]`);
+    if (group) return group;
+
+    group = document.createElement('div');
+    group.className = 'match-page-group';
+    group.dataset.page = pageNum;
+
+    const header = document.createElement('div');
+    header.className = 'match-page-header';
+    header.textContent = `Page ${pageNum + 1}`;
+    group.appendChild(header);
+
+    const next = [...matchItems.querySelectorAll('.match-page-group')]
+        .find(g => parseInt(g.dataset.page) > pageNum);
+    matchItems.insertBefore(group, next || null);
+    return group;
+}
+
+function createMatchListItem(match, index) {
+    const item = document.createElement('div');
+    item.className = 'match-item';
+    if (match.excluded) item.classList.add('excluded');
+
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = !match.excluded;
+    toggle.title = match.excluded ? 'Excluded - click to redact' : 'Included - click to keep visible';
+    toggle.addEventListener('change', () => toggleMatch(index));
+
+    const label = document.createElement('span');
+    label.className = 'match-term';
+    label.innerHTML = `"${escapeHtml(match.text.substring(0, 30))}${match.text.length > 30 ? '...' : ''}"`;
+    if (!match.isManual) label.title = match.term;
+
+    // Name variant hits (/v terms) say which form of the name was found
+    let variant = null;
+    if (match.variant) {
+        variant = document.createElement('span');
+        variant.className = 'match-variant';
+        variant.textContent = match.variant;
+        variant.title = `Variant of "${match.term}"`;
+    } else if (match.hiddenReason) {
+        // Hidden text added from the document inspection
+        variant = document.createElement('span');
+        variant.className = 'match-variant';
+        variant.textContent = `hidden: ${match.hiddenReason}`;
+    } else if (match.labelPosition) {
+        // Label rule hits say where the value was found
+        variant = document.createElement('span');
+        variant.className = 'match-variant';
+        variant.textContent = `${match.labelPosition === 'below' ? 'below' : 'after'} ${labelOfTerm(match.term)}`;
+        variant.title = `Value of label rule "${match.term}"`;
+    }
+
+    // Fuzzy hits (/f terms) differ from the term and need a second look
+    let fuzzy = null;
+    if (match.fuzzy !== undefined) {
+        fuzzy = document.createElement('span');
+        fuzzy.className = 'match-fuzzy';
+        fuzzy.textContent = 'fuzzy';
+        fuzzy.title = `Approximate match for "${match.term}" (${match.fuzzy} edit${match.fuzzy === 1 ? '' : 's'}, OCR confusions not counted) - please review`;
+    }
+
+    // Detector hits (e.g. <name>) carry a score to review them by
+    let score = null;
+    if (match.score !== undefined) {
+        score = document.createElement('span');
+        score.className = 'match-score';
+        if (match.score < 0.7) score.classList.add('low');
+        score.textContent = `${Math.round(match.score * 100)}%`;
+        score.title = 'Detector confidence';
+    }
+
+    const groundBtn = document.createElement('button');
+    groundBtn.className = 'ground-badge';
+    groundBtn.textContent = match.ground || '+ground';
+    groundBtn.title = match.ground
+        ? `${describeGround(match.ground) || 'Legal ground'} - click to change`
+        : 'Set the legal ground printed on this redaction';
+    groundBtn.addEventListener('click', () => {
+        const code = prompt('Legal ground code (e.g. 5.1.2e), empty to clear:', match.ground || '');
+        if (code === null) return;
+        match.ground = code.trim() || null;
+        updateMatchDisplay();
+    });
+
+    const actions = document.createElement('span');
+    actions.className = 'match-actions';
+    const verb = match.excluded ? 'Include' : 'Exclude';
+
+    const termBtn = document.createElement('button');
+    termBtn.className = 'link-btn';
+    termBtn.textContent = `${verb} term on page`;
+    termBtn.title = `${verb} all hits of ${match.isManual ? 'manual boxes' : match.term} on page ${match.pageNum + 1}`;
+    termBtn.addEventListener('click', () => setMatchesExcluded(
+        m => m.term === match.term && m.pageNum === match.pageNum,
+        !match.excluded
+    ));
+    actions.appendChild(termBtn);
+
+    if (!match.isManual) {
+        const textBtn = document.createElement('button');
+        textBtn.className = 'link-btn';
+        textBtn.textContent = `${verb} identical`;
+        textBtn.title = `${verb} every match with the text "${match.text}"`;
+        textBtn.addEventListener('click', () => setMatchesExcluded(
+            m => !m.isManual && m.text === match.text,
+            !match.excluded
+        ));
+        actions.appendChild(textBtn);
+    }
+
+    item.appendChild(toggle);
+    item.appendChild(label);
+    if (variant) item.appendChild(variant);
+    if (fuzzy) item.appendChild(fuzzy);
+    if (score) item.appendChild(score);
+    item.appendChild(groundBtn);
+    item.appendChild(actions);
+    getMatchPageGroup(match.pageNum).appendChild(item);
+}
+
+// Per exclusion rule, how many matches it suppressed (0 hints at a typo)
+function updateSuppressedInfo() {
+    suppressedInfo.classList.toggle('hidden', suppressedCounts.size === 0);
+    suppressedInfo.innerHTML = '';
+    if (suppressedCounts.size === 0) return;
+
+    const title = document.createElement('div');
+    title.textContent = 'Suppressed by exclusion rules:';
+    suppressedInfo.appendChild(title);
+    for (const [rule, count] of suppressedCounts) {
+        const row = document.createElement('div');
+        row.className = 'suppressed-rule';
+        row.innerHTML = `<code>${escapeHtml(rule)}</code> ${count} hit${count !== 1 ? 's' : ''}`;
+        suppressedInfo.appendChild(row);
+    }
+}
+
 function updateMatchDisplay() {
     matchList.classList.remove('hidden');
-    matchCount.textContent = matches.length;
+    updateMatchCounts();
+    updateSuppressedInfo();
     matchItems.innerHTML = '';
 
-    // Group by page
-    const byPage = {};
-    for (const match of matches) {
-        if (!byPage[match.pageNum]) byPage[match.pageNum] = [];
-        byPage[match.pageNum].push(match);
-    }
-
-    // Display matches
-    for (const [pageNum, pageMatches] of Object.entries(byPage)) {
-        for (const match of pageMatches.slice(0, 5)) {
-            const item = document.createElement('div');
-            item.className = 'match-item';
-            item.innerHTML = `
-                <span class="match-term">"${escapeHtml(match.text.substring(0, 30))}${match.text.length > 30 ? '...' : ''}"</span>
-                <span class="match-page">Page ${parseInt(pageNum) + 1}</span>
-            `;
-            matchItems.appendChild(item);
-        }
-        if (pageMatches.length > 5) {
-            const more = document.createElement('div');
-            more.className = 'match-item';
-            more.innerHTML = `<span style="color: var(--text-muted)">...and ${pageMatches.length - 5} more on page ${parseInt(pageNum) + 1}</span>`;
-            matchItems.appendChild(more);
-        }
+    for (let i = 0; i < matches.length; i++) {
+        createMatchListItem(matches[i], i);
     }
 
     // Draw overlays on preview
     drawMatchOverlays();
 }
 
-// Create and append a single overlay div for a match at the given index
+// Create and append the overlay divs for a match at the given index; a match
+// running over several lines gets one overlay per line
 function createOverlayForMatch(match, index) {
+    for (const bbox of matchBoxes(match)) {
+        createOverlay(match, index, bbox);
+    }
+}
+
+function createOverlay(match, index, bbox) {
     const pageContainer = document.getElementById(`page-${match.pageNum}`);
     if (!pageContainer) return;
 
@@ -532,7 +1135,6 @@ function createOverlayForMatch(match, index) {
     const pageInfo = pageImages[match.pageNum];
     if (!pageInfo) return;
 
-    const bbox = match.bbox;
     const scale = pageInfo.scale;
 
     // Convert PDF coordinates to canvas coordinates
@@ -549,6 +1151,11 @@ function createOverlayForMatch(match, index) {
     if (match.isManual) {
         overlay.classList.add('manual-overlay');
     }
+    if (match.excluded) {
+        overlay.classList.add('excluded');
+    }
+    overlay.title = match.excluded ? 'Excluded - click to redact' : 'Click to exclude from redaction';
+    overlay.addEventListener('click', () => toggleMatch(index));
     overlay.style.left = `${x * displayScale}px`;
     overlay.style.top = `${y * displayScale}px`;
     overlay.style.width = `${width * displayScale}px`;
@@ -586,25 +1193,29 @@ function addManualRedaction(pageNum, bbox) {
         term: '__manual__',
         bbox: bbox,
         pageNum: pageNum,
-        isManual: true
+        isManual: true,
+        ground: groundInput.value.trim() || null,
+        excluded: false
     };
     matches.push(match);
 
     // Incrementally append just the new overlay instead of rebuilding all overlays
     createOverlayForMatch(match, matches.length - 1);
 
-    // Update the match list text (but skip the full drawMatchOverlays rebuild)
+    // Update the match list (but skip the full drawMatchOverlays rebuild)
     matchList.classList.remove('hidden');
-    matchCount.textContent = matches.length;
+    createMatchListItem(match, matches.length - 1);
+    updateMatchCounts();
 
     processBtn.disabled = false;
+    saveSessionBtn.disabled = false;
 }
 
 function removeManualRedaction(index) {
     if (index >= 0 && index < matches.length) {
         matches.splice(index, 1);
         updateMatchDisplay();
-        if (matches.length === 0) {
+        if (includedMatches().length === 0) {
             processBtn.disabled = true;
         }
     }
@@ -726,90 +1337,854 @@ function attachDrawingHandlers(container, pageNum) {
 
 // Process and download
 processBtn.addEventListener('click', async () => {
-    if (!pdfDocument || matches.length === 0) return;
+    const redactions = includedMatches();
+    if (!pdfDocument || redactions.length === 0) return;
+    if (!checkOutputPassword()) return;
 
     showStatus('Applying redactions...');
     processBtn.disabled = true;
     scanBtn.disabled = true;
+    hideLeaks();
 
     try {
-        // Reload document fresh for rendering
-        const pdf = await pdfjsLib.getDocument({ data: pdfData.slice() }).promise;
-        const numPages = pdf.numPages;
-
-        // Group matches by page
-        const matchesByPage = {};
-        for (const match of matches) {
-            if (!matchesByPage[match.pageNum]) matchesByPage[match.pageNum] = [];
-            matchesByPage[match.pageNum].push(match);
+        const output = await renderRedactedPdf(redactions);
+
+        // Verify: re-read the output and search it again before download
+        if (verifyCheckbox.checked) {
+            const leaks = await verifyOutput(output, redactions);
+            if (leaks.length > 0) {
+                hideProgress();
+                showLeaks(leaks, () => downloadOutput(output, redactions));
+                showStatus(`Verification found ${leaks.length} possible leak${leaks.length !== 1 ? 's' : ''} in the output. Review them before downloading.`, 'error');
+                return;
+            }
+        }
+
+        await downloadOutput(output, redactions);
+
+    } catch (err) {
+        console.error(err);
+        showStatus(`Error during redaction: ${err.message}`, 'error');
+    } finally {
+        processBtn.disabled = !pdfDocument || includedMatches().length === 0;
+        scanBtn.disabled = false;
+    }
+});
+
+// Produce the anonymized PDF for the active document: rewritten in place
+// with the vector preset, otherwise rasterized with the redactions burned in.
+// Returns { data, numPages, rasterizedPages }, where rasterizedPages lists
+// pages the vector mode had to rasterize after all.
+async function renderRedactedPdf(redactions) {
+    // Reload document fresh for rendering
+    const pdf = await pdfjsLib.getDocument({ data: pdfData.slice(), password: pdfPassword }).promise;
+    const numPages = pdf.numPages;
+
+    if (OUTPUT_PRESETS[outputPresetSelect.value].vector) {
+        try {
+            return await renderVectorPdf(pdf, redactions);
+        } catch (err) {
+            // e.g. damaged files; the raster output always works
+            console.error(err);
+            showStatus(`Vector redaction not possible (${err.message}); rasterizing instead...`);
         }
+    }
 
-        // Get first page dimensions to initialize jsPDF
-        const firstPage = await pdf.getPage(1);
-        const fp = firstPage.getViewport({ scale: 1 });
-        const doc = new jsPDF({ unit: 'pt', format: [fp.width, fp.height] });
+    // Group matches by page
+    const matchesByPage = {};
+    for (const match of redactions) {
+        if (!matchesByPage[match.pageNum]) matchesByPage[match.pageNum] = [];
+        matchesByPage[match.pageNum].push(match);
+    }
 
-        for (let pageNum = 0; pageNum < numPages; pageNum++) {
-            showProgress((pageNum / numPages) * 100, `Redacting page ${pageNum + 1} of ${numPages}...`);
+    // Get first page dimensions to initialize jsPDF
+    const firstPage = await pdf.getPage(1);
+    const fp = firstPage.getViewport({ scale: 1 });
+    const doc = new jsPDF({ unit: 'pt', format: [fp.width, fp.height] });
+    const selected = OUTPUT_PRESETS[outputPresetSelect.value];
+    const preset = selected.vector ? OUTPUT_PRESETS[DEFAULT_PRESET] : selected;
 
-            if (pageNum > 0) {
-                const pg = await pdf.getPage(pageNum + 1);
-                const pv = pg.getViewport({ scale: 1 });
-                doc.addPage([pv.width, pv.height]);
-            }
+    for (let pageNum = 0; pageNum < numPages; pageNum++) {
+        showProgress((pageNum / numPages) * 100, `Redacting page ${pageNum + 1} of ${numPages}...`);
+
+        if (pageNum > 0) {
+            const pg = await pdf.getPage(pageNum + 1);
+            const pv = pg.getViewport({ scale: 1 });
+            doc.addPage([pv.width, pv.height]);
+        }
 
-            const page = await pdf.getPage(pageNum + 1);
-            const baseVp = page.getViewport({ scale: 1 });
-            const scale = Math.min(3, 4000 / Math.max(baseVp.width, baseVp.height));
-            const viewport = page.getViewport({ scale });
-
-            // 1. Render to canvas
-            const canvas = document.createElement('canvas');
-            canvas.width = viewport.width;
-            canvas.height = viewport.height;
-            const ctx = canvas.getContext('2d');
-            await page.render({ canvasContext: ctx, viewport }).promise;
-
-            // 2. Draw black rectangles for matches
-            const pageMatches = matchesByPage[pageNum] || [];
-            if (pageMatches.length > 0) {
-                ctx.fillStyle = 'black';
-                for (const match of pageMatches) {
+        // 1. Render to canvas
+        const page = await pdf.getPage(pageNum + 1);
+        const { canvas, ctx, scale, baseVp } = await renderOutputPage(page, preset);
+
+        // 2. Draw black rectangles for matches
+        const pageMatches = matchesByPage[pageNum] || [];
+        if (pageMatches.length > 0) {
+            ctx.fillStyle = 'black';
+            for (const match of pageMatches) {
+                for (const bbox of matchBoxes(match)) {
                     ctx.fillRect(
-                        match.bbox[0] * scale,
-                        match.bbox[1] * scale,
-                        (match.bbox[2] - match.bbox[0]) * scale,
-                        (match.bbox[3] - match.bbox[1]) * scale
+                        bbox[0] * scale,
+                        bbox[1] * scale,
+                        (bbox[2] - bbox[0]) * scale,
+                        (bbox[3] - bbox[1]) * scale
                     );
                 }
             }
+            for (const match of pageMatches) {
+                if (match.ground) drawGroundLabel(ctx, match, scale);
+            }
+        }
 
-            // 3. Add to PDF as JPEG
-            const jpegDataUrl = canvas.toDataURL('image/jpeg', 0.92);
-            doc.addImage(jpegDataUrl, 'JPEG', 0, 0, baseVp.width, baseVp.height);
+        // 3. Add to PDF in the preset's color depth and encoding
+        applyColorDepth(canvas, preset);
+        const { data, format, compression } = await encodeCanvas(canvas, preset);
+        doc.addImage(data, format, 0, 0, baseVp.width, baseVp.height, undefined, compression);
 
-            // Allow UI to update
-            await new Promise(r => setTimeout(r, 0));
+        // 4. Searchable invisible text, without anything under a redaction
+        if (textLayerCheckbox.checked) {
+            const blocks = ocrCache.get(pageNum) || await extractTextBlocks(page);
+            addInvisibleTextLayer(doc, blocks, pageMatches.flatMap(matchBoxes));
         }
 
-        showProgress(90, 'Saving PDF...');
+        // Allow UI to update
+        await new Promise(r => setTimeout(r, 0));
+    }
 
-        // 4. Download
-        doc.save(fileName.textContent.replace('.pdf', '_anonymized.pdf'));
+    if (groundsIndexCheckbox.checked) {
+        addGroundsIndexPage(doc, redactions);
+    }
 
-        hideProgress();
+    const data = await finalizePdf(new Uint8Array(doc.output('arraybuffer')), outputOptions());
+    return { data, numPages, rasterizedPages: [] };
+}
+
+// Vector output: rewrite the original content, append the grounds index
+async function renderVectorPdf(pdf, redactions) {
+    let appendix = null;
+    if (groundsIndexCheckbox.checked) {
+        const indexDoc = new jsPDF({ unit: 'pt', format: 'a4' });
+        addGroundsIndexPage(indexDoc, redactions);
+        indexDoc.deletePage(1);
+        appendix = new Uint8Array(indexDoc.output('arraybuffer'));
+    }
+
+    const result = await redactVector(pdfData, pdf, redactions, {
+        password: pdfPassword,
+        appendix,
+        onProgress: (done, total, pageNum) => {
+            showProgress((done / total) * 80, `Redacting page ${pageNum + 1} (${done + 1} of ${total} pages with redactions)...`);
+        }
+    });
+    const data = await finalizePdf(result.data, outputOptions());
+    return { data, numPages: pdf.numPages, rasterizedPages: result.rasterizedPages };
+}
+
+// Document info and encryption of the anonymized PDF. The info holds only
+// the title the user gave, never the source's author or the creating
+// software; an encrypted output may only be printed.
+function outputOptions() {
+    return {
+        info: { Title: outputTitleInput.value.trim() },
+        password: encryptOutputCheckbox.checked ? outputPasswordInput.value : ''
+    };
+}
+
+function checkOutputPassword() {
+    if (encryptOutputCheckbox.checked && !outputPasswordInput.value) {
+        showStatus('Enter a password for the encrypted output', 'error');
+        outputPasswordInput.focus();
+        return false;
+    }
+    return true;
+}
+
+// Save the anonymized PDF and the optional redaction log
+async function downloadOutput(output, redactions) {
+    const { numPages } = output;
+    showProgress(90, 'Saving PDF...');
+
+    downloadBlob(new Blob([output.data], { type: 'application/pdf' }), fileName.textContent.replace('.pdf', '_anonymized.pdf'));
+
+    // Audit report: what was removed, without the removed text itself
+    if (reportCheckbox.checked || reportPdfCheckbox.checked) {
+        showProgress(95, 'Writing redaction log...');
+        const report = await buildAuditReport({
+            fileName: fileName.textContent,
+            pageCount: numPages,
+            redactions,
+            excludedCount: matches.length - redactions.length,
+            toolVersion: TOOL_VERSION
+        });
+        const baseName = fileName.textContent.replace('.pdf', '_redaction-log');
+        if (reportCheckbox.checked) {
+            downloadBlob(new Blob([reportToCSV(report)], { type: 'text/csv' }), `${baseName}.csv`);
+            downloadBlob(new Blob([reportToJSON(report)], { type: 'application/json' }), `${baseName}.json`);
+        }
+        if (reportPdfCheckbox.checked) {
+            reportToPDF(report).save(`${baseName}.pdf`);
+        }
+    }
+
+    hideProgress();
+    if (output.rasterizedPages.length > 0) {
+        const pages = output.rasterizedPages.map(n => n + 1).join(', ');
+        showStatus(`PDF anonymized and downloaded. Page${output.rasterizedPages.length !== 1 ? 's' : ''} ${pages} had to be rasterized, as their content could not be rewritten safely.`, 'success');
+    } else {
         showStatus('PDF anonymized and downloaded successfully!', 'success');
+    }
+}
+
+// Leak verification: render the generated PDF again, read it back with the
+// text layer and OCR, and search it with the same terms. Anything still found
+// is a leak, except matches the user deliberately excluded and the ground
+// codes printed on the boxes themselves.
+async function verifyOutput({ data, numPages }, redactions) {
+    const terms = getScanTerms();
+    if (terms.length === 0) return [];
+
+    await initWorkerPool();
+    showStatus('Verifying output for leaks...');
+
+    const output = await pdfjsLib.getDocument({ data: data.slice(), password: outputOptions().password }).promise;
+
+    // Only the redacted pages; appended index pages are not part of the source
+    const jobs = [];
+    for (let pageNum = 0; pageNum < numPages; pageNum++) {
+        jobs.push(async (worker) => {
+            const page = await output.getPage(pageNum + 1);
+            const blocks = await extractTextBlocks(page);
+            const { canvas, scale } = await renderPageForOcr(page);
+            blocks.push(...resultToBlocks(await worker.recognize(canvas), scale));
+            return findTermMatches(blocks, terms, pageNum);
+        });
+    }
+
+    const hits = (await runOnWorkerPool(jobs, (done, total) => {
+        showProgress(80 + (done / total) * 10, `Verifying: ${done}/${total} pages`);
+    })).flat();
+
+    return hits.filter(hit =>
+        !matches.some(m => m.excluded && m.pageNum === hit.pageNum &&
+            matchBoxes(m).some(box => matchBoxes(hit).some(hitBox => bboxesOverlap(box, hitBox)))) &&
+        !redactions.some(m => m.ground === hit.text.trim() && m.pageNum === hit.pageNum)
+    );
+}
+
+function showLeaks(leaks, download) {
+    pendingLeakDownload = { leaks, download };
+    leakPanel.classList.remove('hidden');
+    leakItems.innerHTML = '';
+
+    for (const leak of leaks) {
+        const item = document.createElement('div');
+        item.className = 'match-item';
+        item.innerHTML = `
+            <span class="match-term">"${escapeHtml(leak.text.substring(0, 30))}${leak.text.length > 30 ? '...' : ''}"</span>
+            <span class="match-page">Page ${leak.pageNum + 1} at (${leak.bbox[0].toFixed(0)}, ${leak.bbox[1].toFixed(0)}) pt</span>
+        `;
+        leakItems.appendChild(item);
+
+        // Mark the leak on the preview
+        const pageContainer = document.getElementById(`page-${leak.pageNum}`);
+        const pageInfo = pageImages[leak.pageNum];
+        if (!pageContainer || !pageInfo) continue;
+        const canvas = pageContainer.querySelector('canvas');
+        const s = pageInfo.scale * (canvas.offsetWidth / canvas.width);
+        for (const bbox of matchBoxes(leak)) {
+            const overlay = document.createElement('div');
+            overlay.className = 'leak-overlay';
+            overlay.style.left = `${bbox[0] * s}px`;
+            overlay.style.top = `${bbox[1] * s}px`;
+            overlay.style.width = `${(bbox[2] - bbox[0]) * s}px`;
+            overlay.style.height = `${(bbox[3] - bbox[1]) * s}px`;
+            pageContainer.appendChild(overlay);
+        }
+    }
+}
+
+function hideLeaks() {
+    pendingLeakDownload = null;
+    leakPanel.classList.add('hidden');
+    document.querySelectorAll('.leak-overlay').forEach(el => el.remove());
+}
+
+// Fix: turn each leak into a (slightly padded) redaction and let the user re-run
+redactLeaksBtn.addEventListener('click', () => {
+    if (!pendingLeakDownload) return;
+    const terms = getScanTerms();
+
+    const pad = (bbox) => [bbox[0] - 1, bbox[1] - 1, bbox[2] + 1, bbox[3] + 1];
+    for (const leak of pendingLeakDownload.leaks) {
+        const source = terms.find(t => t.term === leak.term);
+        const redaction = {
+            ...leak,
+            bbox: pad(leak.bbox),
+            ground: source ? source.ground : null
+        };
+        if (leak.fragments) {
+            redaction.fragments = leak.fragments.map(f => ({ ...f, bbox: pad(f.bbox) }));
+        }
+        matches.push(redaction);
+    }
 
+    hideLeaks();
+    updateMatchDisplay();
+    showStatus('Leaks added as redactions. Anonymize again to produce a fixed PDF.', 'success');
+});
+
+// Acknowledge: download the output as-is
+acknowledgeLeaksBtn.addEventListener('click', async () => {
+    if (!pendingLeakDownload) return;
+    const { download } = pendingLeakDownload;
+    hideLeaks();
+    try {
+        await download();
     } catch (err) {
         console.error(err);
         showStatus(`Error during redaction: ${err.message}`, 'error');
+    }
+});
+
+// Print a legal-ground code inside a redaction box (the first line of a
+// multi-line match), shrunk to fit; see fitGroundLabel
+function drawGroundLabel(ctx, match, scale) {
+    const bbox = matchBoxes(match)[0];
+    ctx.font = 'bold 100px sans-serif';
+    const unitWidth = ctx.measureText(match.ground).width / 100;
+    const label = fitGroundLabel(unitWidth, bbox[2] - bbox[0], bbox[3] - bbox[1]);
+    if (!label) return;
+
+    ctx.font = `bold ${label.fontSize * scale}px sans-serif`;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = 'white';
+    ctx.fillText(match.ground, (bbox[0] + label.x) * scale, (bbox[1] + label.y) * scale);
+    ctx.fillStyle = 'black';
+}
+
+// Append an index page listing the legal grounds used, with counts per page
+function addGroundsIndexPage(doc, redactions) {
+    const grounds = summarizeGrounds(redactions);
+    doc.addPage('a4', 'portrait');
+
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 56;
+    let y = margin;
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(14);
+    doc.text('Index of redaction grounds', margin, y);
+    y += 28;
+
+    doc.setFontSize(10);
+    if (grounds.length === 0) {
+        doc.setFont('helvetica', 'normal');
+        doc.text('No legal grounds were assigned to the redactions in this document.', margin, y);
+        return;
+    }
+
+    for (const ground of grounds) {
+        if (y > pageHeight - margin) {
+            doc.addPage('a4', 'portrait');
+            y = margin;
+        }
+        const description = describeGround(ground.code);
+        doc.setFont('helvetica', 'bold');
+        doc.text(`${ground.code}${description ? ` - ${description}` : ''} (${ground.total}x)`, margin, y);
+        y += 14;
+
+        const perPage = [...ground.pages.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([pageNum, count]) => `p. ${pageNum + 1}: ${count}`)
+            .join(', ');
+        doc.setFont('helvetica', 'normal');
+        const lines = doc.splitTextToSize(perPage, doc.internal.pageSize.getWidth() - margin * 2);
+        doc.text(lines, margin + 12, y);
+        y += lines.length * 12 + 10;
+    }
+}
+
+// Batch mode
+async function startBatch(files) {
+    exitBatch();
+    batchItems = files.map(file => ({
+        file,
+        name: file.name,
+        data: null,
+        hash: null,
+        pdfDocument: null,
+        password: '',
+        ocrCache: new Map(),
+        matches: [],
+        suppressedCounts: new Map(),
+        status: 'pending', // pending → scanned → reviewed
+        leaks: null
+    }));
+    batchQueue.classList.remove('hidden');
+    renderBatchQueue();
+    showStatus(`${files.length} PDFs queued. Scan all with the shared terms, then review each file.`, 'success');
+    await openBatchItem(batchItems[0]);
+}
+
+function exitBatch() {
+    batchItems = [];
+    activeBatchItem = null;
+    batchQueue.classList.add('hidden');
+    batchItemsEl.innerHTML = '';
+}
+
+async function loadBatchItem(item) {
+    if (!item.pdfDocument) {
+        const data = new Uint8Array(await item.file.arrayBuffer());
+        const { pdf, password } = await openPdf(data, item.name);
+        item.data = data;
+        item.hash = await hashBytes(data);
+        item.pdfDocument = pdf;
+        item.password = password;
+    }
+}
+
+// Swap a batch entry's state into the globals the rest of the app works on
+function setActiveDocument(item) {
+    pdfData = item.data;
+    pdfPassword = item.password;
+    pdfHash = item.hash;
+    pdfDocument = item.pdfDocument;
+    ocrCache = item.ocrCache;
+    matches = item.matches;
+    suppressedCounts = item.suppressedCounts;
+    activeBatchItem = item;
+}
+
+// Write the globals back into the active entry (matches is reassigned on scan)
+function updateBatchItemFromActive() {
+    if (!activeBatchItem) return;
+    activeBatchItem.matches = matches;
+    activeBatchItem.suppressedCounts = suppressedCounts;
+    if (activeBatchItem.status === 'pending') activeBatchItem.status = 'scanned';
+    renderBatchQueue();
+}
+
+// Open a batch entry in the preview for review
+async function openBatchItem(item) {
+    if (activeBatchItem) activeBatchItem.matches = matches;
+    showStatus(`Loading ${item.name}...`);
+
+    try {
+        await loadBatchItem(item);
+        setActiveDocument(item);
+
+        const numPages = pdfDocument.numPages;
+        fileName.textContent = item.name;
+        pageCount.textContent = `${numPages} page${numPages !== 1 ? 's' : ''}`;
+        fileInfo.classList.add('visible');
+        scanBtn.disabled = false;
+        hideLeaks();
+        renderBatchQueue();
+
+        await generatePreviews();
+        if (matches.length > 0) {
+            updateMatchDisplay();
+        } else {
+            matchList.classList.add('hidden');
+        }
+        processBtn.disabled = includedMatches().length === 0;
+        saveSessionBtn.disabled = item.status === 'pending';
+        pseudonymizeBtn.disabled = item.status === 'pending';
+        openSessionBtn.disabled = false;
+        hideStatus();
+        inspectActiveDocument();
+    } catch (err) {
+        console.error(err);
+        showStatus(`Error loading ${item.name}: ${err.message}`, 'error');
+    }
+}
+
+function renderBatchQueue() {
+    batchItemsEl.innerHTML = '';
+    for (const item of batchItems) {
+        const row = document.createElement('div');
+        row.className = 'batch-item';
+        if (item === activeBatchItem) row.classList.add('active');
+
+        const included = item.matches.filter(m => !m.excluded).length;
+        const info = document.createElement('span');
+        info.className = 'batch-name';
+        info.textContent = item.name;
+        info.title = item.name;
+
+        const count = document.createElement('span');
+        count.className = 'batch-count';
+        count.textContent = item.status === 'pending'
+            ? 'not scanned'
+            : `${included} match${included !== 1 ? 'es' : ''}${item.leaks ? `, ${item.leaks} leak${item.leaks !== 1 ? 's' : ''}` : ''}`;
+
+        const reviewed = document.createElement('label');
+        reviewed.className = 'batch-reviewed';
+        const reviewedBox = document.createElement('input');
+        reviewedBox.type = 'checkbox';
+        reviewedBox.checked = item.status === 'reviewed';
+        reviewedBox.disabled = item.status === 'pending';
+        reviewedBox.addEventListener('change', () => {
+            item.status = reviewedBox.checked ? 'reviewed' : 'scanned';
+            renderBatchQueue();
+        });
+        reviewed.appendChild(reviewedBox);
+        reviewed.append(' reviewed');
+
+        const openBtn = document.createElement('button');
+        openBtn.className = 'link-btn';
+        openBtn.textContent = 'Review';
+        openBtn.disabled = item === activeBatchItem;
+        openBtn.addEventListener('click', () => openBatchItem(item));
+
+        row.append(info, count, reviewed, openBtn);
+        batchItemsEl.appendChild(row);
+    }
+
+    const scanned = batchItems.filter(i => i.status !== 'pending').length;
+    scanAllBtn.disabled = getScanTerms().length === 0;
+    downloadZipBtn.disabled = scanned === 0;
+}
+
+// Scan every file in the queue with the shared term list
+scanAllBtn.addEventListener('click', async () => {
+    const terms = getScanTerms();
+    if (terms.length === 0 || batchItems.length === 0) return;
+
+    const reviewing = activeBatchItem;
+    if (reviewing) reviewing.matches = matches;
+
+    scanAllBtn.disabled = true;
+    scanBtn.disabled = true;
+    downloadZipBtn.disabled = true;
+
+    try {
+        for (let i = 0; i < batchItems.length; i++) {
+            const item = batchItems[i];
+            showStatus(`Scanning ${item.name} (${i + 1} of ${batchItems.length})...`);
+            await loadBatchItem(item);
+            setActiveDocument(item);
+            if (!await scanActiveDocument(terms)) return;
+            item.matches = matches;
+            item.suppressedCounts = suppressedCounts;
+            if (item.status === 'pending') item.status = 'scanned';
+            renderBatchQueue();
+        }
+
+        const total = batchItems.reduce((sum, item) => sum + item.matches.length, 0);
+        showStatus(`Scanned ${batchItems.length} files: ${total} match${total !== 1 ? 'es' : ''}. Review each file, then download the ZIP.${fuzzyDistanceNote(terms)}`, 'success');
+    } catch (err) {
+        console.error(err);
+        showStatus(`Error during batch scan: ${err.message}`, 'error');
     } finally {
-        processBtn.disabled = false;
+        hideProgress();
+        if (reviewing) {
+            setActiveDocument(reviewing);
+            updateMatchDisplay();
+            processBtn.disabled = includedMatches().length === 0;
+            saveSessionBtn.disabled = false;
+            pseudonymizeBtn.disabled = false;
+        }
         scanBtn.disabled = false;
+        renderBatchQueue();
+    }
+});
+
+// Anonymize every scanned file and download them as one ZIP with a summary
+downloadZipBtn.addEventListener('click', async () => {
+    const scanned = batchItems.filter(i => i.status !== 'pending');
+    if (scanned.length === 0) return;
+
+    if (!checkOutputPassword()) return;
+
+    const unreviewed = scanned.filter(i => i.status !== 'reviewed').length;
+    if (unreviewed > 0 && !confirm(`${unreviewed} file${unreviewed !== 1 ? 's have' : ' has'} not been marked as reviewed. Continue?`)) {
+        return;
+    }
+
+    const reviewing = activeBatchItem;
+    if (reviewing) reviewing.matches = matches;
+
+    downloadZipBtn.disabled = true;
+    scanAllBtn.disabled = true;
+    processBtn.disabled = true;
+    scanBtn.disabled = true;
+
+    try {
+        const zipFiles = [];
+        const summary = [];
+
+        for (let i = 0; i < scanned.length; i++) {
+            const item = scanned[i];
+            showStatus(`Anonymizing ${item.name} (${i + 1} of ${scanned.length})...`);
+            setActiveDocument(item);
+
+            const redactions = includedMatches();
+            const output = await renderRedactedPdf(redactions);
+            const { numPages } = output;
+            item.leaks = verifyCheckbox.checked ? (await verifyOutput(output, redactions)).length : null;
+
+            const outputName = item.name.replace(/\.pdf$/i, '_anonymized.pdf');
+            zipFiles.push({ name: outputName, data: output.data });
+
+            if (reportCheckbox.checked || reportPdfCheckbox.checked) {
+                const report = await buildAuditReport({
+                    fileName: item.name,
+                    pageCount: numPages,
+                    redactions,
+                    excludedCount: matches.length - redactions.length,
+                    toolVersion: TOOL_VERSION
+                });
+                const baseName = item.name.replace(/\.pdf$/i, '_redaction-log');
+                if (reportCheckbox.checked) {
+                    zipFiles.push({ name: `${baseName}.csv`, data: reportToCSV(report) });
+                    zipFiles.push({ name: `${baseName}.json`, data: reportToJSON(report) });
+                }
+                if (reportPdfCheckbox.checked) {
+                    zipFiles.push({ name: `${baseName}.pdf`, data: new Uint8Array(reportToPDF(report).output('arraybuffer')) });
+                }
+            }
+
+            summary.push({
+                file: item.name,
+                output: outputName,
+                pages: numPages,
+                matches: matches.length,
+                redacted: redactions.length,
+                excluded: matches.length - redactions.length,
+                manual: redactions.filter(m => m.isManual).length,
+                reviewStatus: item.status,
+                leaks: item.leaks
+            });
+            renderBatchQueue();
+        }
+
+        const leaky = summary.filter(row => row.leaks > 0);
+        if (leaky.length > 0 && !confirm(`Verification found possible leaks in ${leaky.length} file${leaky.length !== 1 ? 's' : ''}:\n${leaky.map(r => `${r.file}: ${r.leaks}`).join('\n')}\n\nDownload the ZIP anyway?`)) {
+            showStatus('ZIP not downloaded. Review the files with leaks and anonymize again.', 'error');
+            return;
+        }
+
+        const columns = Object.keys(summary[0]);
+        zipFiles.push({
+            name: 'summary.csv',
+            data: [columns.join(','), ...summary.map(row => columns.map(c => {
+                const v = row[c] == null ? '' : String(row[c]);
+                return /[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+            }).join(','))].join('\n') + '\n'
+        });
+        zipFiles.push({
+            name: 'summary.json',
+            data: JSON.stringify({ generatedAt: new Date().toISOString(), toolVersion: TOOL_VERSION, files: summary }, null, 2)
+        });
+
+        downloadBlob(createZip(zipFiles), `anonymized_${new Date().toISOString().slice(0, 10)}.zip`);
+        showStatus(`${scanned.length} files anonymized and downloaded as ZIP`, 'success');
+    } catch (err) {
+        console.error(err);
+        showStatus(`Error during batch anonymization: ${err.message}`, 'error');
+    } finally {
+        hideProgress();
+        if (reviewing) setActiveDocument(reviewing);
+        processBtn.disabled = includedMatches().length === 0;
+        scanBtn.disabled = false;
+        renderBatchQueue();
+    }
+});
+
+// Custom patterns: compile the stored definitions and list them in the
+// editor and the syntax help
+function applyCustomPatterns() {
+    const defs = loadCustomPatterns();
+    const failed = setCustomPatterns(defs);
+    for (const { def, error } of failed) {
+        console.warn(`Custom pattern <${def.name}> disabled: ${error}`);
+    }
+
+    customPatternItems.innerHTML = '';
+    patternHelpList.querySelectorAll('.custom-pattern-help').forEach(el => el.remove());
+
+    for (const def of defs) {
+        const row = document.createElement('div');
+        row.className = 'term-list-item';
+
+        const label = document.createElement('label');
+        label.innerHTML = `<code>&lt;${escapeHtml(def.name)}&gt;</code> ${escapeHtml(def.description || def.regex)}`;
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'link-btn';
+        editBtn.textContent = 'Edit';
+        editBtn.addEventListener('click', () => {
+            for (const field of ['name', 'regex', 'description', 'checksum', 'minLength', 'maxLength']) {
+                customPatternForm.elements[field].value = def[field] ?? '';
+            }
+            customPatternForm.elements.prefixes.value = def.prefixes.join(', ');
+            customPatternForm.elements.caseSensitive.checked = def.caseSensitive;
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'link-btn';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => {
+            if (!confirm(`Delete pattern <${def.name}>?`)) return;
+            deleteCustomPattern(def.name);
+            applyCustomPatterns();
+        });
+
+        row.append(label, editBtn, deleteBtn);
+        customPatternItems.appendChild(row);
+
+        if (failed.some(f => f.def === def)) continue;
+        const help = document.createElement('li');
+        help.className = 'custom-pattern-help';
+        help.innerHTML = `<code>&lt;${escapeHtml(def.name)}&gt;</code> - ${escapeHtml(def.description || 'Custom pattern')}${def.checksum !== 'none' ? ' (validated)' : ''}`;
+        patternHelpList.appendChild(help);
+    }
+}
+
+for (const [key, { label }] of Object.entries(CHECKSUMS)) {
+    customPatternChecksum.add(new Option(label, key));
+}
+
+customPatternForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const form = customPatternForm.elements;
+
+    try {
+        const def = saveCustomPattern({
+            name: form.name.value,
+            regex: form.regex.value,
+            description: form.description.value,
+            caseSensitive: form.caseSensitive.checked,
+            minLength: form.minLength.value,
+            maxLength: form.maxLength.value,
+            checksum: form.checksum.value,
+            prefixes: form.prefixes.value
+        });
+        customPatternForm.reset();
+        applyCustomPatterns();
+        showStatus(`Saved pattern ${escapeHtml(`<${def.name}>`)}. Use it in the terms like any built-in pattern.`, 'success');
+    } catch (err) {
+        showStatus(`Error saving pattern: ${err.message}`, 'error');
+    }
+});
+
+exportPatternsBtn.addEventListener('click', () => {
+    if (loadCustomPatterns().length === 0) {
+        showStatus('No custom patterns to export', 'error');
+        return;
+    }
+    downloadBlob(new Blob([exportCustomPatterns()], { type: 'application/json' }), 'patterns.json');
+});
+
+importPatternsBtn.addEventListener('click', () => patternsInput.click());
+
+patternsInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    patternsInput.value = '';
+    if (!file) return;
+
+    try {
+        const names = importCustomPatterns(await file.text());
+        applyCustomPatterns();
+        showStatus(`Imported ${names.length} pattern${names.length !== 1 ? 's' : ''}: ${escapeHtml(names.map(n => `<${n}>`).join(', '))}`, 'success');
+    } catch (err) {
+        console.error(err);
+        showStatus(`Error importing patterns: ${err.message}`, 'error');
+    }
+});
+
+// Pseudonymized text export: .txt and structured .json, plus a separate key
+pseudonymizeBtn.addEventListener('click', () => {
+    if (!pdfDocument) return;
+
+    const dateMode = dateModeSelect.value;
+    // The shift is the same for every export, so intervals compare across documents
+    const dateShiftDays = dateMode === 'shift' ? getDateShiftDays() : 0;
+    const result = pseudonymizeDocument(ocrCache, includedMatches(), pdfDocument.numPages, { dateMode, dateShiftDays });
+    const baseName = fileName.textContent.replace('.pdf', '_pseudonymized');
+
+    downloadBlob(new Blob([pseudonymizedToText(result)], { type: 'text/plain' }), `${baseName}.txt`);
+    downloadBlob(new Blob([JSON.stringify({
+        fileName: fileName.textContent,
+        generatedAt: new Date().toISOString(),
+        toolVersion: TOOL_VERSION,
+        dateGeneralization: dateMode === 'placeholder' ? null : dateMode,
+        pages: result.pages
+    }, null, 2)], { type: 'application/json' }), `${baseName}.json`);
+    const key = {
+        fileName: fileName.textContent,
+        note: 'Maps placeholders back to the original values. Store separately from the pseudonymized text, or delete it.',
+        placeholders: result.key
+    };
+    if (dateMode === 'shift') key.dateShiftDays = dateShiftDays;
+    downloadBlob(new Blob([JSON.stringify(key, null, 2)], { type: 'application/json' }), fileName.textContent.replace('.pdf', '_pseudonymization-key.json'));
+
+    showStatus(`Pseudonymized text exported with ${result.key.length} placeholder${result.key.length !== 1 ? 's' : ''}`, 'success');
+});
+
+// Session save/restore
+saveSessionBtn.addEventListener('click', () => {
+    if (!pdfDocument) return;
+
+    const json = createSession({
+        fileName: fileName.textContent,
+        fileHash: pdfHash,
+        terms: termsInput.value,
+        matches,
+        suppressedCounts,
+        ocrCache
+    });
+    downloadBlob(
+        new Blob([json], { type: 'application/json' }),
+        fileName.textContent.replace('.pdf', '_session.json')
+    );
+    showStatus('Session saved', 'success');
+});
+
+openSessionBtn.addEventListener('click', () => sessionInput.click());
+
+sessionInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    sessionInput.value = '';
+    if (!file || !pdfDocument) return;
+
+    try {
+        const session = parseSession(await file.text(), pdfHash, pdfDocument.numPages);
+
+        termsInput.value = session.terms;
+        ocrCache.clear();
+        for (const [pageNum, blocks] of session.ocrCache) {
+            ocrCache.set(pageNum, blocks);
+        }
+        matches = session.matches;
+        suppressedCounts = session.suppressedCounts;
+
+        updateMatchDisplay();
+        updateBatchItemFromActive();
+        updateScanButtons();
+        processBtn.disabled = includedMatches().length === 0;
+        saveSessionBtn.disabled = false;
+        pseudonymizeBtn.disabled = false;
+        showStatus(`Session restored: ${matches.length} match${matches.length !== 1 ? 'es' : ''}`, 'success');
+    } catch (err) {
+        console.error(err);
+        showStatus(`Error opening session: ${err.message}`, 'error');
     }
 });
 
 // Utility
+function downloadBlob(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -828,5 +2203,7 @@ window.addEventListener('resize', () => {
 });
 
 // Initialize
+applyCustomPatterns();
+renderTermLists();
 console.log('PDF Anonymizer loaded. PDF.js ready.');
 hideStatus();
@@ -0,0 +1,549 @@
+// Term matching over text blocks
+//
+// Blocks are the LINE-level blocks produced by OCR or the native text layer
+// (see text-layer.js). All bboxes are PDF coordinates at scale 1.
+import { getPattern, isPattern } from './patterns.js';
+import { nameVariants } from './name-variants.js';
+import { fuzzyFind } from './fuzzy.js';
+import { formatTermLine } from './terms.js';
+import { foldText, unfoldRange } from './normalize.js';
+
+// Estimate bounding box for a substring within a text block (fallback)
+export function estimateBbox(block, charIndex, charLength) {
+    const text = block.text;
+    const bbox = block.bbox; // [x0, y0, x1, y1]
+
+    if (!text || text.length === 0) return bbox;
+
+    const lineWidth = bbox[2] - bbox[0];
+    const charWidth = lineWidth / text.length;
+
+    const x0 = bbox[0] + charIndex * charWidth;
+    const x1 = bbox[0] + (charIndex + charLength) * charWidth;
+
+    return [x0, bbox[1], x1, bbox[3]];
+}
+
+// Find precise bounding box using word-level OCR data
+export function findMatchBbox(block, matchText, charIndex) {
+    if (!block.words || block.words.length === 0) {
+        return estimateBbox(block, charIndex, matchText.length);
+    }
+
+    // Build character position → word mapping (with position within word)
+    let charPos = 0;
+    const charToWord = [];
+    for (const word of block.words) {
+        for (let i = 0; i < word.text.length; i++) {
+            charToWord.push({ word, posInWord: i });
+        }
+        charPos += word.text.length;
+        // Account for space between words
+        if (charPos < block.text.length && block.text[charPos] === ' ') {
+            charToWord.push(null); // space
+            charPos++;
+        }
+    }
+
+    const startIdx = charIndex;
+    const endIdx = charIndex + matchText.length - 1;
+
+    // Collect matched words with their character ranges
+    const wordRanges = new Map(); // word -> { startPos, endPos }
+    for (let i = startIdx; i <= endIdx && i < charToWord.length; i++) {
+        const entry = charToWord[i];
+        if (entry) {
+            if (!wordRanges.has(entry.word)) {
+                wordRanges.set(entry.word, { startPos: entry.posInWord, endPos: entry.posInWord });
+            } else {
+                wordRanges.get(entry.word).endPos = entry.posInWord;
+            }
+        }
+    }
+
+    if (wordRanges.size === 0) {
+        return estimateBbox(block, charIndex, matchText.length);
+    }
+
+    // Calculate bbox: for partial matches, interpolate within the word
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+    for (const [word, range] of wordRanges) {
+        const wordLen = word.text.length;
+        const wordWidth = word.bbox[2] - word.bbox[0];
+        const charWidth = wordWidth / wordLen;
+
+        // If full word matched, use full bbox
+        if (range.startPos === 0 && range.endPos === wordLen - 1) {
+            minX = Math.min(minX, word.bbox[0]);
+            maxX = Math.max(maxX, word.bbox[2]);
+        } else {
+            // Partial match: interpolate within word
+            const x0 = word.bbox[0] + range.startPos * charWidth;
+            const x1 = word.bbox[0] + (range.endPos + 1) * charWidth;
+            minX = Math.min(minX, x0);
+            maxX = Math.max(maxX, x1);
+        }
+        minY = Math.min(minY, word.bbox[1]);
+        maxY = Math.max(maxY, word.bbox[3]);
+    }
+
+    return [minX, minY, maxX, maxY];
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Letters that count as part of a word for whole-word matching
+const WORD_CHAR = '[\\wÀ-ÖØ-öø-ɏ]';
+
+// Compile a parsed term (see terms.js) into a global regex and a validator.
+// Detector patterns such as <name> return `detect` instead of `regex`; name
+// variant terms (/v) return `variantKinds`, one per capture group; fuzzy
+// terms (/f) detect with fuzzyFind. Folding terms (/a) are compiled folded
+// and marked `fold`, so termHits searches a folded copy of the text.
+export function compileTerm({ term, caseSensitive = false, wholeWord = false, variants = false, fuzzy = 0, fold = false }) {
+    if (fold) {
+        const compiled = compileTerm({ term: foldText(term).text, caseSensitive, wholeWord, variants, fuzzy });
+        return { ...compiled, fold: true };
+    }
+
+    if (isPattern(term)) {
+        const pattern = getPattern(term);
+        if (pattern.detect) {
+            return { detect: pattern.detect, validate: pattern.validate };
+        }
+        return {
+            regex: new RegExp(pattern.regex.source, pattern.regex.flags),
+            validate: pattern.validate
+        };
+    }
+
+    const flags = caseSensitive ? 'g' : 'gi';
+    if (variants) {
+        // Variants are always whole words; the bare forms are too short otherwise
+        const list = nameVariants(term, caseSensitive);
+        const source = list.map(v => `(${v.source})`).join('|');
+        return {
+            regex: new RegExp(`(?<!${WORD_CHAR})(?:${source})(?!${WORD_CHAR})`, flags),
+            validate: () => true,
+            variantKinds: list.map(v => v.kind)
+        };
+    }
+
+    if (fuzzy > 0) {
+        // The term is taken literally; a regex has no sensible edit distance
+        return {
+            detect: (text) => fuzzyFind(text, term, { maxDistance: fuzzy, caseSensitive, wholeWord }),
+            validate: () => true
+        };
+    }
+
+    let source;
+    try {
+        source = new RegExp(term).source;
+    } catch (e) {
+        source = escapeRegex(term);
+    }
+    if (wholeWord) {
+        source = `(?<!${WORD_CHAR})(?:${source})(?!${WORD_CHAR})`;
+    }
+    return { regex: new RegExp(source, flags), validate: () => true };
+}
+
+// All hits of a compiled term in a line:
+// [{ index, text, score?, variant?, distance? }]
+function termHits(compiled, text) {
+    if (compiled.fold) {
+        // Search the folded text, report offsets and text of the original
+        const folded = foldText(text);
+        return termHits({ ...compiled, fold: false }, folded.text).map(hit => {
+            const { index, length } = unfoldRange(folded, hit.index, hit.text.length);
+            return { ...hit, index, text: text.substr(index, length) };
+        });
+    }
+
+    const { regex, detect, variantKinds } = compiled;
+    if (detect) return detect(text);
+
+    const hits = [];
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        // Guard against empty matches looping forever
+        if (match[0].length === 0) {
+            regex.lastIndex++;
+            continue;
+        }
+        const hit = { index: match.index, text: match[0] };
+        if (variantKinds) {
+            // The capture group that took part tells which variant hit
+            hit.variant = variantKinds[match.slice(1).findIndex(g => g !== undefined)];
+        }
+        hits.push(hit);
+    }
+    return hits;
+}
+
+function sameText(a, b, caseSensitive) {
+    const norm = (s) => (caseSensitive ? s : s.toLowerCase()).replace(/\s+/g, ' ').trim();
+    return norm(a) === norm(b);
+}
+
+// Label-value rules: redact whatever follows a form label
+//
+//   Naam: <value>
+//   BSN: <value> #5.1.1e
+//
+// The value is the run of words right of the label on the same line or,
+// when the label ends its line, the words directly below the label. Runs
+// end at a wide gap (the next column) or at the next label ("Datum:").
+
+// Horizontal gap, in line heights, that separates columns
+const COLUMN_GAP = 1.5;
+// How far below the label line, in line heights, a value line may start
+const BELOW_DISTANCE = 1.6;
+
+// Regex for a label. "Naam:" needs the colon in the document too (so the
+// word in running text is no label); "Naam" matches with or without it.
+export function compileLabel(label, caseSensitive = false) {
+    const base = label.trim().replace(/\s*:$/, '');
+    const colon = label.trim().endsWith(':') ? '\\s*:' : '(?![\\p{L}\\p{N}])\\s*:?';
+    const source = base.split(/\s+/).map(escapeRegex).join('\\s+');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${source}${colon}`, caseSensitive ? 'gu' : 'giu');
+}
+
+// Words of a block with their offsets in block.text and bboxes
+function wordSpans(block) {
+    const spans = [];
+    const words = block.words && block.words.length > 0
+        ? block.words
+        : block.text.split(' ').filter(Boolean).map(text => ({ text }));
+
+    let pos = 0;
+    for (const word of words) {
+        const start = block.text.indexOf(word.text, pos);
+        if (start === -1) continue;
+        pos = start + word.text.length;
+        spans.push({
+            start,
+            end: pos,
+            text: word.text,
+            bbox: word.bbox || estimateBbox(block, start, word.text.length)
+        });
+    }
+    return spans;
+}
+
+// A label word such as "Geboortedatum:" starts the next field
+const isLabelWord = (text) => /\p{L}:$/u.test(text);
+
+// Take words from spans[0] on until a column gap or the next label
+function valueRun(spans, lineHeight) {
+    const run = [];
+    for (const span of spans) {
+        if (isLabelWord(span.text)) break;
+        const prev = run[run.length - 1];
+        if (prev && span.bbox[0] - prev.bbox[2] > COLUMN_GAP * lineHeight) break;
+        run.push(span);
+    }
+    return run;
+}
+
+// Find the values of a label rule (see terms.js) in a page's blocks.
+// Returns matches in the findTermMatches shape; `labelPosition` is
+// 'right' or 'below'.
+export function findLabelValues(blocks, t, pageNum) {
+    const found = [];
+    const regex = compileLabel(t.label, t.caseSensitive);
+
+    blocks.forEach((block, blockIndex) => {
+        const lineHeight = block.bbox[3] - block.bbox[1];
+        regex.lastIndex = 0;
+        let m;
+        while ((m = regex.exec(block.text)) !== null) {
+            const labelEnd = m.index + m[0].length;
+            const labelBbox = findMatchBbox(block, m[0], m.index);
+
+            // Value right of the label, within the same line
+            let valueBlockIndex = blockIndex;
+            let run = valueRun(wordSpans(block).filter(s => s.start >= labelEnd), lineHeight);
+            let position = 'right';
+
+            if (run.length === 0) {
+                // Value in a separate block further right on the same line
+                // (tab-aligned form columns)
+                const right = blocks
+                    .map((b, i) => ({ b, i }))
+                    .filter(({ b, i }) => i !== blockIndex &&
+                        b.bbox[0] >= labelBbox[2] &&
+                        Math.abs((b.bbox[1] + b.bbox[3]) / 2 - (block.bbox[1] + block.bbox[3]) / 2) < lineHeight / 2)
+                    .sort((a, b) => a.b.bbox[0] - b.b.bbox[0])[0];
+                if (right) {
+                    run = valueRun(wordSpans(right.b), right.b.bbox[3] - right.b.bbox[1]);
+                    valueBlockIndex = right.i;
+                }
+            }
+
+            if (run.length === 0) {
+                // Value on the line directly below, starting under the label
+                const below = blocks
+                    .map((b, i) => ({ b, i }))
+                    .filter(({ b }) =>
+                        b.bbox[1] >= block.bbox[1] + lineHeight * 0.5 &&
+                        b.bbox[1] - block.bbox[3] < BELOW_DISTANCE * lineHeight &&
+                        b.bbox[2] > labelBbox[0] && b.bbox[0] < block.bbox[2])
+                    .sort((a, b) => a.b.bbox[1] - b.b.bbox[1])[0];
+                if (below) {
+                    const spans = wordSpans(below.b).filter(s => s.bbox[2] > labelBbox[0] - lineHeight);
+                    run = valueRun(spans, below.b.bbox[3] - below.b.bbox[1]);
+                    valueBlockIndex = below.i;
+                    position = 'below';
+                }
+            }
+            if (run.length === 0) continue;
+
+            const valueBlock = blocks[valueBlockIndex];
+            const start = run[0].start;
+            const text = valueBlock.text.substring(start, run[run.length - 1].end);
+            found.push({
+                text,
+                term: t.term,
+                bbox: findMatchBbox(valueBlock, text, start),
+                pageNum,
+                blockIndex: valueBlockIndex,
+                charIndex: start,
+                confidence: valueBlock.confidence,
+                ground: t.ground,
+                excluded: false,
+                labelPosition: position
+            });
+        }
+    });
+
+    return found;
+}
+
+// Bboxes to redact for a match: one per line fragment
+export function matchBoxes(match) {
+    return match.fragments ? match.fragments.map(f => f.bbox) : [match.bbox];
+}
+
+// One bbox per line fragment of a match spanning several blocks.
+// fragments: [{ blockIndex, charIndex, length }]
+export function findMatchBboxes(blocks, fragments) {
+    return fragments.map(({ blockIndex, charIndex, length }) => {
+        const block = blocks[blockIndex];
+        return findMatchBbox(block, block.text.substr(charIndex, length), charIndex);
+    });
+}
+
+// Does block b continue the paragraph of block a on the next line?
+function continuesLine(a, b) {
+    const height = a.bbox[3] - a.bbox[1];
+    const nextHeight = b.bbox[3] - b.bbox[1];
+    const gap = b.bbox[1] - a.bbox[3];
+    return height > 0 && nextHeight > 0 &&
+        gap > -0.2 * height && gap < height &&
+        Math.max(height, nextHeight) / Math.min(height, nextHeight) < 1.5 &&
+        b.bbox[0] < a.bbox[2] && b.bbox[2] > a.bbox[0];
+}
+
+// Join runs of consecutive lines into paragraph texts. "Voorbeeld-" followed
+// by "straat" is joined without the hyphen. `map` gives, per character of the
+// joined text, { line, charIndex } or null for the space inserted between lines.
+export function joinParagraphs(blocks) {
+    const paragraphs = [];
+    let current = null;
+
+    for (let i = 0; i < blocks.length; i++) {
+        const text = blocks[i].text;
+        if (!text) continue;
+
+        if (current && current.lines[current.lines.length - 1] === i - 1 && continuesLine(blocks[i - 1], blocks[i])) {
+            const prev = blocks[i - 1].text;
+            if (/\p{L}-$/u.test(prev) && /^\p{Ll}/u.test(text)) {
+                // De-hyphenate: drop the hyphen, remember it for the bbox
+                current.text = current.text.slice(0, -1);
+                current.map.pop();
+                current.hyphens.add(i - 1);
+            } else {
+                current.text += ' ';
+                current.map.push(null);
+            }
+        } else {
+            current = { lines: [], text: '', map: [], hyphens: new Set() };
+            paragraphs.push(current);
+        }
+
+        current.lines.push(i);
+        current.text += text;
+        for (let c = 0; c < text.length; c++) current.map.push({ line: i, charIndex: c });
+    }
+
+    return paragraphs.filter(p => p.lines.length > 1);
+}
+
+// Line fragments covered by text[index, index + length) of a paragraph
+function paragraphFragments(blocks, paragraph, index, length) {
+    const fragments = [];
+    for (const pos of paragraph.map.slice(index, index + length)) {
+        if (!pos) continue;
+        const last = fragments[fragments.length - 1];
+        if (last && last.blockIndex === pos.line) {
+            last.length = pos.charIndex - last.charIndex + 1;
+        } else {
+            fragments.push({ blockIndex: pos.line, charIndex: pos.charIndex, length: 1 });
+        }
+    }
+    // A fragment ending where a hyphen was dropped also covers the hyphen
+    for (const f of fragments.slice(0, -1)) {
+        if (paragraph.hyphens.has(f.blockIndex) && f.charIndex + f.length === blocks[f.blockIndex].text.length - 1) {
+            f.length++;
+        }
+    }
+    return fragments;
+}
+
+function unionBbox(boxes) {
+    return [
+        Math.min(...boxes.map(b => b[0])),
+        Math.min(...boxes.map(b => b[1])),
+        Math.max(...boxes.map(b => b[2])),
+        Math.max(...boxes.map(b => b[3]))
+    ];
+}
+
+// Copy the per-hit details (detector score, variant, fuzzy distance) to a match
+function hitDetails(result, hit, t) {
+    if (hit.score !== undefined) result.score = hit.score;
+    if (hit.variant) result.variant = hit.variant;
+    // Fuzzy hits that differ from the term are flagged for review
+    const fold = (text) => (t.fold ? foldText(text).text : text);
+    if (hit.distance !== undefined && !sameText(fold(hit.text), fold(t.term), t.caseSensitive)) {
+        result.fuzzy = hit.distance;
+    }
+    return result;
+}
+
+// Does exclusion hit `rule` cover match `m`?
+function covers(rule, m) {
+    if (!rule.fragments && !m.fragments) {
+        return rule.blockIndex === m.blockIndex &&
+            rule.charIndex <= m.charIndex &&
+            m.charIndex + m.text.trimEnd().length <= rule.charIndex + rule.text.length;
+    }
+    const tolerance = 1;
+    return rule.bbox[0] - tolerance <= m.bbox[0] && rule.bbox[1] - tolerance <= m.bbox[1] &&
+        m.bbox[2] <= rule.bbox[2] + tolerance && m.bbox[3] <= rule.bbox[3] + tolerance;
+}
+
+// Drop matches covered by an exclusion rule (terms with `exclude`, see
+// terms.js). A rule covers a match when the rule matches the match's whole
+// text ("!info@ourfirm.nl" vs an <email> hit), or when a hit of the rule in
+// the page contains it ("!Ourfirm B.V." vs a <name> hit "Ourfirm").
+// Counts per rule are added to the `suppressed` Map when given.
+function applyExclusions(found, blocks, rules, pageNum, suppressed) {
+    const checks = rules.map(rule => {
+        const compiled = compileTerm(rule);
+        const hits = findTermMatches(blocks, [{ ...rule, exclude: false }], pageNum);
+        const key = formatTermLine(rule);
+        if (suppressed && !suppressed.has(key)) suppressed.set(key, 0);
+        return {
+            key,
+            test: (m) =>
+                termHits(compiled, m.text.trim()).some(h =>
+                    h.index === 0 && h.text.length === m.text.trim().length && compiled.validate(h.text)) ||
+                hits.some(h => covers(h, m))
+        };
+    });
+
+    return found.filter(m => {
+        const check = checks.find(c => c.test(m));
+        if (check && suppressed) suppressed.set(check.key, suppressed.get(check.key) + 1);
+        return !check;
+    });
+}
+
+// Find all matches of the parsed terms (see terms.js) in a page's blocks.
+// Besides matches within a line, matches running across consecutive lines of
+// a paragraph are found; those carry `fragments`, one per line, and `bbox`
+// is the union of the fragment bboxes.
+// Exclusion rules among the terms are applied last; pass a Map as
+// `suppressed` to collect how many matches each rule suppressed.
+export function findTermMatches(blocks, terms, pageNum, suppressed = null) {
+    const rules = terms.filter(t => t.exclude);
+    if (rules.length > 0) {
+        const found = findTermMatches(blocks, terms.filter(t => !t.exclude), pageNum);
+        return applyExclusions(found, blocks, rules, pageNum, suppressed);
+    }
+
+    const found = [];
+    const paragraphs = joinParagraphs(blocks);
+
+    for (const t of terms) {
+        const termStart = found.length;
+        if (t.label) {
+            found.push(...findLabelValues(blocks, t, pageNum));
+            continue;
+        }
+
+        const { term, ground } = t;
+        const compiled = compileTerm(t);
+
+        for (let blockIndex = 0; blockIndex < blocks.length; blockIndex++) {
+            const block = blocks[blockIndex];
+            for (const hit of termHits(compiled, block.text)) {
+                if (!compiled.validate(hit.text)) continue;
+                // Get precise bbox using word-level OCR data
+                const estBbox = findMatchBbox(block, hit.text, hit.index);
+                found.push(hitDetails({
+                    text: hit.text,
+                    term,
+                    bbox: estBbox,
+                    pageNum,
+                    blockIndex,
+                    charIndex: hit.index,
+                    confidence: block.confidence,
+                    ground,
+                    excluded: false
+                }, hit, t));
+            }
+        }
+
+        for (const paragraph of paragraphs) {
+            for (const hit of termHits(compiled, paragraph.text)) {
+                const fragments = paragraphFragments(blocks, paragraph, hit.index, hit.text.length);
+                // Hits within one line were found above
+                if (fragments.length < 2) continue;
+                if (!compiled.validate(hit.text)) continue;
+
+                findMatchBboxes(blocks, fragments).forEach((bbox, i) => { fragments[i].bbox = bbox; });
+                const confidences = fragments.map(f => blocks[f.blockIndex].confidence).filter(c => c != null);
+                found.push(hitDetails({
+                    text: hit.text,
+                    term,
+                    bbox: unionBbox(fragments.map(f => f.bbox)),
+                    fragments,
+                    pageNum,
+                    blockIndex: fragments[0].blockIndex,
+                    charIndex: fragments[0].charIndex,
+                    confidence: confidences.length ? Math.min(...confidences) : undefined,
+                    ground,
+                    excluded: false
+                }, hit, t));
+            }
+        }
+
+        // Drop single-line hits of this term that are part of a longer
+        // multi-line hit ("Voorbeeldstraat 7" + "5211 AB Den Bosch")
+        const termMatches = found.splice(termStart);
+        const multiLine = termMatches.filter(m => m.fragments);
+        found.push(...termMatches.filter(m => m.fragments || !multiLine.some(ml => ml.fragments.some(f =>
+            f.blockIndex === m.blockIndex &&
+            f.charIndex <= m.charIndex &&
+            m.charIndex + m.text.length <= f.charIndex + f.length))));
+    }
+    return found;
+}
@@ -0,0 +1,78 @@
+// Offline name lists for the <name> detector
+//
+// Common Dutch and English first names and surnames, lowercase. Surnames are
+// listed without tussenvoegsel ("de Vries" → "vries"). The lists only raise
+// the confidence of a hit; unknown names are still found through initials,
+// titles and tussenvoegsels.
+
+export const FIRST_NAMES = new Set(`
+aaron abdel abdul adam adrian adriaan agnes ahmed aisha alan albert alex alexander
+alexandra alice alicia amber amy andre andrea andrew angela anita ann anna anne
+anneke annemarie anouk anthony anton antonie arie arjan arjen arnold astrid aukje
+barbara bart bas bastiaan bea ben benjamin bernard bert bianca bob bram brenda brian
+bruno carla carlos carmen carol caroline catharina charles charlotte chris christa
+christian christiaan christina christine christopher cindy claire claudia cor corrie
+cornelis daan daniel daniëlle danny david debora dennis derk diana dick dirk dominique
+donald dorothy douwe edith eduard edward eline elisabeth elizabeth ellen els emily
+emma eric erik esther eva evert evi fatima femke finn floor frank frans freek frits
+gabriel gait gary gea george gerard gerben gerda gerrit gert gijs gerrie gonnie geert greet
+hanneke hans harm harold harry hein hendrik henk henri henny herman hilde hugo ilse
+inge ingrid iris isa isabel jaap jack jacob jacobus jacqueline james jamie jan jane
+janet janneke jannie janny jasper jayden jennifer jeroen jesse jessica joan joanna
+joep johan johanna johannes john jolanda jonathan joost joris jos jose joseph josephine
+joyce judith julia julian juliette justin karel karen karin kate kees kelly kevin kim
+klaas koen kyra lars laura lauren lea lena leo levi lieke linda lisa lotte louis lucas
+lucy luuk maarten manon marc marcel margaret margriet maria marianne marie mariëlle
+marieke marijke marjolein mark marloes marten martijn martin mary mathijs matthew
+maurice max maya meike melissa menno michael michel michelle mieke milan mirjam mohamed
+mustafa nadia nancy natasha nicole niels nina noah noor olivia patricia patrick paul
+paula pauline peter petra philip piet pieter pim rachel ralph ramon randy rebecca remco
+richard rick rik rob robert robin roel roland ron ronald roos rosa ruben rudi ruud
+ryan saar sam samantha sander sandra sanne sara sarah sebastiaan sem simon sofie sophie
+stefan stephanie steven susan suzanne sven teun theo thijs thomas tim tineke tom ton
+tonny vera victor vincent walter wendy wessel wilhelmina willem william wim wouter
+yvonne zoë
+`.trim().split(/\s+/));
+
+export const SURNAMES = new Set(`
+aalbers adams ahmed akker allen baker bakker bastiaansen beek beekman bekker berg
+bergen bergh bos bosch bosman boer boers boom bouma bouwman brink brouwer bruin bruijn
+brown buitenhuis clark claassen cornelissen coster dam davies davis dekker dijk dijkstra
+dijkman driessen evans evers geerts gerritsen goossens graaf groen groot haan hall
+harris hendriks hendriksen heuvel hoek hofman hoekstra holtrop hoogland horst huisman
+jacobs jackson jansen janssen janssens jong jones jonker kaya klein kok koster kramer
+kroon kuiper kuipers laan lee leeuwen lewis linden maas martin meer meijer mertens
+meulen meyer miller mol molenaar moore mulder muller müller nieuwenhuis noordam peters
+petersen peeters pieters pol post postma prins roberts robinson roos schouten scott
+sluiter smeets smit smith smits spijker stam steen stevens taylor teunissen thomas
+thompson timmermans veen veenstra velde verbeek verhoeven verhagen vermeulen visser
+vliet vos vries walker wal wijk white wilson willems williams wit wood wouters wright
+young zanten zwart
+`.trim().split(/\s+/));
+
+// Titles and forms of address; the title itself is not redacted
+export const TITLES = new Set(`
+dhr dhr. mevr mevr. mw mw. mr mr. mrs mrs. ms ms. miss dr dr. drs drs. ir ir. ing ing.
+prof prof. sir madam heer mevrouw juffrouw ds ds.
+`.trim().split(/\s+/));
+
+// Tussenvoegsels, longest first so "van der" wins over "van"
+export const TUSSENVOEGSELS = [
+    'van de', 'van der', 'van den', 'van het', "van 't", 'in de', 'in het', "in 't",
+    'op de', 'op den', 'op het', "op 't", 'uit de', 'uit den', 'aan de', 'bij de',
+    'van', 'de', 'den', 'der', 'het', "'t", 'ten', 'ter', 'te', 'la', 'le', 'du', 'von', 'da', 'di', 'el'
+].sort((a, b) => b.length - a.length);
+
+// Capitalized words that start sentences or headings and are never names
+export const NON_NAME_WORDS = new Set(`
+de het een en of van in op te met voor aan bij naar over onder door als dat dit die
+deze wij ik u uw zij hij ons onze wie wat waar hoe graag geachte beste hallo hoi
+beste lieve groet groeten hoogachtend vriendelijke datum betreft onderwerp kenmerk
+pagina naam adres telefoon email e-mail woonplaats postcode geboortedatum handtekening
+the a an and or of to in on for with at by from dear hello hi regards kind sincerely
+yours date subject re page name address phone telephone signature
+maandag dinsdag woensdag donderdag vrijdag zaterdag zondag januari februari maart
+april mei juni juli augustus september oktober november december monday tuesday
+wednesday thursday friday saturday sunday january february march may june july august
+october
+`.trim().split(/\s+/));
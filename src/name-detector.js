@@ -0,0 +1,161 @@
+// Person-name detection for Dutch and English text
+//
+// Works per line of text. A candidate name is a run of initials, capitalized
+// words and tussenvoegsels, optionally preceded by a title:
+//
+//   dhr. J.P. van der Berg    Mrs. Anna Smith    Jan Jansen    J. de Vries
+//
+// Each hit gets a confidence score from the evidence it has (title,
+// initials, known first name/surname from the bundled lists, tussenvoegsel).
+// The title is used as evidence but is not part of the redacted span.
+import { FIRST_NAMES, SURNAMES, TITLES, TUSSENVOEGSELS, NON_NAME_WORDS } from './name-data.js';
+
+// Hits below this score are dropped
+export const MIN_NAME_SCORE = 0.5;
+
+const MAX_NAME_PARTS = 6;
+
+const INITIALS = /^(?:\p{Lu}\.){1,4}$|^\p{Lu}\.?$/u;
+const CAPITALIZED = /^\p{Lu}[\p{Ll}'’]+(?:-\p{Lu}?[\p{Ll}'’]+)*$/u;
+const ALL_CAPS = /^\p{Lu}{2,}$/u;
+
+// Split a line into tokens with offsets; `word` has surrounding
+// punctuation removed, `boundary` marks a comma/colon etc. after the token
+function tokenize(text) {
+    const tokens = [];
+    const re = /\S+/g;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+        const raw = m[0];
+        const lead = raw.match(/^[("“'‘]*/)[0].length;
+        const core = raw.substring(lead);
+        const trail = core.match(/[,;:!?)"”]*$/)[0];
+        const word = core.substring(0, core.length - trail.length);
+        if (!word) continue;
+        tokens.push({
+            word,
+            lower: word.toLowerCase(),
+            start: m.index + lead,
+            end: m.index + lead + word.length,
+            boundary: trail.length > 0
+        });
+    }
+    return tokens;
+}
+
+function isKnownName(set, word) {
+    const lower = word.toLowerCase();
+    return set.has(lower) || lower.split('-').some(part => set.has(part));
+}
+
+// Classify a single token as a name part, or null
+function namePart(token) {
+    if (INITIALS.test(token.word)) return 'initial';
+    // A sentence-final period makes "Jansen." still a name part
+    const word = token.word.replace(/\.$/, '');
+    if (NON_NAME_WORDS.has(word.toLowerCase())) return null;
+    if (isKnownName(FIRST_NAMES, word)) return 'first';
+    if (isKnownName(SURNAMES, word)) return 'surname';
+    if (CAPITALIZED.test(word)) return 'capitalized';
+    return null;
+}
+
+// Length in tokens of a tussenvoegsel starting at tokens[i], or 0
+function tussenvoegselLength(tokens, i) {
+    for (const tv of TUSSENVOEGSELS) {
+        const parts = tv.split(' ');
+        if (i + parts.length > tokens.length) continue;
+        if (parts.every((p, k) => tokens[i + k].lower === p && !tokens[i + k].boundary)) {
+            return parts.length;
+        }
+    }
+    return 0;
+}
+
+// Length in tokens of a title starting at tokens[i], or 0
+function titleLength(tokens, i) {
+    // "Dear Sir, ..." - a title followed by a comma addresses nobody by name
+    if (TITLES.has(tokens[i].lower) && !tokens[i].boundary) return 1;
+    // "de heer" style two-word forms
+    if (tokens[i].lower === 'de' && tokens[i + 1] && TITLES.has(tokens[i + 1].lower) && !tokens[i + 1].boundary) return 2;
+    return 0;
+}
+
+function scoreName(parts, hasTitle, atLineStart) {
+    const types = parts.map(p => p.type);
+    const names = types.filter(t => t !== 'prefix');
+
+    let score = 0.2;
+    if (hasTitle) score += 0.35;
+    if (types.includes('initial')) score += 0.3;
+    if (types.includes('first')) score += 0.3;
+    if (types.includes('surname')) score += 0.3;
+    if (types.includes('prefix')) score += 0.15;
+    if (names.length >= 2) score += 0.1;
+    // Initials alone ("A.") are usually list markers or abbreviations
+    if (names.every(t => t === 'initial') && !hasTitle) score -= 0.3;
+    // A lone capitalized word at the start of a line is most likely just
+    // the first word of a sentence
+    if (atLineStart && !hasTitle && names.length === 1 && types[0] === 'capitalized') score -= 0.2;
+
+    return Math.min(0.99, Math.max(0, score));
+}
+
+// Find person names in a line of text.
+// Returns [{ index, text, score }] with character offsets into `text`.
+export function detectNames(text) {
+    const tokens = tokenize(text);
+    const hits = [];
+
+    let i = 0;
+    while (i < tokens.length) {
+        const titleLen = titleLength(tokens, i);
+        let j = i + titleLen;
+        const parts = [];
+
+        while (j < tokens.length && parts.length < MAX_NAME_PARTS) {
+            const prefixLen = tussenvoegselLength(tokens, j);
+            // A tussenvoegsel counts only when a name part follows it
+            if (prefixLen > 0 && tokens[j + prefixLen] && namePart(tokens[j + prefixLen])) {
+                parts.push({ type: 'prefix', from: j, to: j + prefixLen - 1 });
+                j += prefixLen;
+                continue;
+            }
+
+            const type = namePart(tokens[j]);
+            if (!type) break;
+            // All-caps words are only names when they are known names
+            if (ALL_CAPS.test(tokens[j].word) && type === 'capitalized') break;
+
+            parts.push({ type, from: j, to: j });
+            j++;
+            // Stop at commas etc., and at a sentence-final period
+            if (tokens[j - 1].boundary || (type !== 'initial' && tokens[j - 1].word.endsWith('.'))) break;
+        }
+
+        // Never end on a tussenvoegsel
+        while (parts.length && parts[parts.length - 1].type === 'prefix') parts.pop();
+
+        if (parts.length === 0) {
+            i += Math.max(1, titleLen);
+            continue;
+        }
+
+        const score = scoreName(parts, titleLen > 0, i === 0);
+        if (score >= MIN_NAME_SCORE) {
+            const first = tokens[parts[0].from];
+            const last = tokens[parts[parts.length - 1].to];
+            // Keep a trailing period only for initials ("J.P.")
+            let end = last.end;
+            if (parts[parts.length - 1].type !== 'initial' && last.word.endsWith('.')) end--;
+            hits.push({
+                index: first.start,
+                text: text.substring(first.start, end),
+                score: Math.round(score * 100) / 100
+            });
+        }
+        i = parts[parts.length - 1].to + 1;
+    }
+
+    return hits;
+}
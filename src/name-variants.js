@@ -0,0 +1,123 @@
+// Spelling variants of a person's name (the /v term flag)
+//
+// "Jan van der Berg" also matches:
+//   initials      J. van der Berg, J.van der Berg, J van der Berg
+//   surname       van der Berg, Van der Berg
+//   title         dhr. Berg (the title itself stays visible)
+//   abbreviated   JvdBerg, J. v.d. Berg, Jan vd Berg, v.d. Berg
+//   email         jan.vanderberg, j.vanderberg, jan_van_der_berg, jvanderberg
+//
+// Each variant is a regex source; the matcher joins them into one regex and
+// reports which kind of variant hit.
+import { TUSSENVOEGSELS } from './name-data.js';
+
+// Forms of address that may precede a bare surname; the first letter may be
+// capitalized even for case-sensitive terms
+const TITLES = ['dhr', 'mevr', 'mw', 'mr', 'mrs', 'ms', 'dr', 'drs', 'ir', 'prof', 'de heer', 'mevrouw'];
+const TITLE_SOURCE = `(?:${TITLES.map(t => `[${t[0].toUpperCase()}${t[0]}]${t.substring(1).replace(' ', '\\s+')}`).join('|')})\\.?\\s+`;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Spaces in a name match any run of whitespace
+function literal(text) {
+    return text.split(/\s+/).map(escapeRegex).join('\\s+');
+}
+
+// Lowercase ASCII form for email local parts ("Müller" → "muller")
+function asciiLower(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Split "Jan Peter van der Berg" into given names, tussenvoegsel and surname
+export function splitName(name) {
+    const tokens = name.trim().split(/\s+/).filter(Boolean);
+    const lower = tokens.map(t => t.toLowerCase());
+
+    for (let i = 0; i < tokens.length - 1; i++) {
+        for (const tv of TUSSENVOEGSELS) {
+            const parts = tv.split(' ');
+            if (i + parts.length >= tokens.length) continue;
+            if (parts.every((p, k) => lower[i + k] === p)) {
+                return {
+                    given: tokens.slice(0, i),
+                    tussenvoegsel: parts,
+                    surname: tokens.slice(i + parts.length).join(' ')
+                };
+            }
+        }
+    }
+
+    return {
+        given: tokens.slice(0, -1),
+        tussenvoegsel: [],
+        surname: tokens[tokens.length - 1] || ''
+    };
+}
+
+// Initial letters of the given names; "J.P." counts as two initials
+function initialsOf(given) {
+    return given.flatMap(g => (/^(?:\p{L}\.)+$/u.test(g) ? g.split('.').filter(Boolean) : [g[0]]));
+}
+
+// Build the variants for a name. Returns [{ kind, source }], most specific
+// first so that the longest form wins where several start at one position.
+export function nameVariants(name, caseSensitive = false) {
+    const { given, tussenvoegsel, surname } = splitName(name);
+    if (!surname) return [];
+
+    const variants = [];
+    const add = (kind, source) => {
+        if (!variants.some(v => v.source === source)) variants.push({ kind, source });
+    };
+
+    const initials = initialsOf(given);
+    const tv = tussenvoegsel.join(' ');
+    // Tussenvoegsel as written and capitalized at the start ("Van der")
+    const tvSource = tv
+        ? (caseSensitive
+            ? `(?:${literal(tv)}|${literal(tv[0].toUpperCase() + tv.substring(1))})`
+            : literal(tv))
+        : '';
+    const surnameSource = (tvSource ? `${tvSource}\\s+` : '') + literal(surname);
+    const initialsSource = initials.map(escapeRegex).join('\\.?\\s?') + '\\.?';
+
+    add('full', literal(name.trim()));
+
+    if (initials.length > 0) {
+        add('initials', `${initialsSource}\\s*${surnameSource}`);
+    }
+
+    if (tussenvoegsel.length > 0) {
+        // v.d., vd, v. d.
+        const tvAbbr = tussenvoegsel.map(p => escapeRegex(p[0])).join('\\.?\\s?') + '\\.?';
+        const givenSource = given.length > 0
+            ? `(?:(?:${literal(given.join(' '))}|${initialsSource})\\s?)?`
+            : '';
+        add('abbreviated', `${givenSource}${tvAbbr}\\s?${literal(surname)}`);
+    }
+
+    if (given.length > 0 || tussenvoegsel.length > 0) {
+        add('surname', surnameSource);
+    }
+
+    // Email local parts: jan.vanderberg, j_van_der_berg, jvanderberg
+    const sep = '[._-]?';
+    const compactSurname = [...tussenvoegsel, surname].map(asciiLower).filter(Boolean).join(sep);
+    if (given.length > 0 && compactSurname) {
+        const firstForms = [...new Set([
+            asciiLower(given[0]),
+            initials.map(asciiLower).join(''),
+            asciiLower(initials[0])
+        ])].filter(Boolean);
+        add('email', `(?:${firstForms.map(escapeRegex).join('|')})${sep}${compactSurname}`);
+    }
+
+    // "dhr. Berg": the surname without its tussenvoegsel, only after a title
+    if (tussenvoegsel.length > 0) {
+        add('title', `(?<=${TITLE_SOURCE})${literal(surname)}`);
+    }
+
+    return variants;
+}
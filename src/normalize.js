@@ -0,0 +1,55 @@
+// Unicode normalization and diacritic folding
+//
+// Extracted text and terms are normalized to NFKC, so ligatures from text
+// PDFs ("ﬁ") become plain letters and composed/decomposed accents compare
+// equal. NFKC turns a spacing accent into a space and a combining accent;
+// the space is dropped, so OCR's "Mu¨ller" reads "Müller".
+//
+// Folding (the /a term flag) goes further and drops accents altogether,
+// so "Muller", "Müller" and "Mu¨ller" from OCR all read "Muller". A folded
+// text keeps, per character, the offset of the original character it came
+// from, so matches found in it map back to the original text.
+
+export function normalizeText(text) {
+    return text.normalize('NFKC').replace(/ (\p{M})/gu, '$1').normalize('NFC');
+}
+
+// Letters that do not decompose into base letter + accent
+const SPECIAL_FOLDS = {
+    'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ø': 'o', 'Ø': 'O',
+    'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'ð': 'd', 'Ð': 'D', 'þ': 'th', 'Þ': 'Th', 'ı': 'i'
+};
+
+// Spacing accents OCR sometimes emits next to the letter ("Mu¨ller"), in
+// text that was not normalized
+const SPACING_ACCENTS = /[¨´¸ˆˇ˘˙˚˛˜˝]/;
+
+// Fold a text. Returns { text, map } where map[i] is the offset in the
+// original text of folded character i.
+export function foldText(text) {
+    let folded = '';
+    const map = [];
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        let out;
+        if (SPECIAL_FOLDS[ch]) {
+            out = SPECIAL_FOLDS[ch];
+        } else if (SPACING_ACCENTS.test(ch)) {
+            out = '';
+        } else {
+            out = ch.normalize('NFKD').replace(/\p{M}/gu, '');
+        }
+        for (const c of out) {
+            folded += c;
+            map.push(i);
+        }
+    }
+    return { text: folded, map };
+}
+
+// Map a range of a folded text back to { index, length } in the original
+export function unfoldRange(folded, index, length) {
+    const start = folded.map[index];
+    const end = folded.map[index + length - 1] + 1;
+    return { index: start, length: end - start };
+}
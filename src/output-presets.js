@@ -0,0 +1,114 @@
+// Output presets for the anonymized PDF
+//
+// A raster preset sets the render resolution, the image encoding (lossless PNG
+// or JPEG with a quality) and the color depth (color, grayscale or pure black
+// and white). Lossless encoding keeps the edges of redaction boxes clean. The
+// vector preset skips rendering and rewrites the original PDF instead.
+//
+// Grayscale and black-and-white PNGs are embedded as DeviceGray images with 8
+// and 1 bits per pixel. Browsers only write JPEGs in color, so a grayscale
+// JPEG keeps three channels; its flat color channels compress to almost
+// nothing.
+import { concatBytes } from './pdf-parser.js';
+import { deflate } from './pdf-writer.js';
+import { crc32 } from './zip.js';
+
+// Canvas size limit (pixels along the longest side), as browsers cap canvases
+const MAX_CANVAS_SIZE = 4000;
+
+export const DEFAULT_PRESET = 'standard';
+
+export const OUTPUT_PRESETS = {
+    archive: { label: 'Archive (300 dpi, lossless)', dpi: 300, format: 'PNG', color: 'color' },
+    standard: { label: 'Standard (216 dpi, JPEG)', dpi: 216, format: 'JPEG', quality: 0.92, color: 'color' },
+    email: { label: 'E-mail (100 dpi, small JPEG)', dpi: 100, format: 'JPEG', quality: 0.6, color: 'color' },
+    grayscale: { label: 'Grayscale (150 dpi, JPEG)', dpi: 150, format: 'JPEG', quality: 0.8, color: 'gray' },
+    bw: { label: 'Black & white text (200 dpi, lossless)', dpi: 200, format: 'PNG', color: 'bw' },
+    vector: { label: 'Vector: keep text and graphics (born-digital PDFs)', vector: true }
+};
+
+// Render scale (canvas pixels per PDF point) for a page viewport at scale 1
+export function presetScale(preset, viewport) {
+    return Math.min(preset.dpi / 72, MAX_CANVAS_SIZE / Math.max(viewport.width, viewport.height));
+}
+
+// Reduce the canvas to the preset's color depth in place
+export function applyColorDepth(canvas, preset) {
+    if (preset.color === 'color') return;
+
+    const ctx = canvas.getContext('2d');
+    const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const px = image.data;
+    for (let i = 0; i < px.length; i += 4) {
+        // Rec. 601 luma
+        let v = 0.299 * px[i] + 0.587 * px[i + 1] + 0.114 * px[i + 2];
+        if (preset.color === 'bw') v = v < 160 ? 0 : 255;
+        px[i] = px[i + 1] = px[i + 2] = v;
+    }
+    ctx.putImageData(image, 0, 0);
+}
+
+// Encode a canvas for jsPDF's addImage. Returns { data, format, compression },
+// where data is a data URL or PNG bytes. jsPDF decodes color PNGs and stores
+// the raw pixels unless told to compress them; gray PNGs are stored as they
+// are.
+export async function encodeCanvas(canvas, preset) {
+    if (preset.format === 'PNG' && preset.color !== 'color') {
+        return { data: await encodeGrayPng(canvas, preset.color === 'bw' ? 1 : 8), format: 'PNG', compression: 'SLOW' };
+    }
+    if (preset.format === 'PNG') {
+        return { data: canvas.toDataURL('image/png'), format: 'PNG', compression: 'SLOW' };
+    }
+    return { data: canvas.toDataURL('image/jpeg', preset.quality), format: 'JPEG', compression: 'NONE' };
+}
+
+// PNG of a canvas already reduced by applyColorDepth, in 8-bit gray or
+// 1-bit black and white (taken from the red channel)
+async function encodeGrayPng(canvas, bits) {
+    const { width, height } = canvas;
+    const px = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    const rowBytes = Math.ceil(width * bits / 8);
+
+    // Each row starts with its filter type: 0 (none) for 1-bit, 2 (up) for 8-bit
+    const raw = new Uint8Array((rowBytes + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const row = y * (rowBytes + 1);
+        raw[row] = bits === 1 ? 0 : 2;
+        for (let x = 0; x < width; x++) {
+            const v = px[(y * width + x) * 4];
+            if (bits === 1) {
+                if (v >= 128) raw[row + 1 + (x >> 3)] |= 0x80 >> (x & 7);
+            } else {
+                raw[row + 1 + x] = (v - (y > 0 ? px[((y - 1) * width + x) * 4] : 0)) & 0xFF;
+            }
+        }
+    }
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = bits;
+    // Color type 0 (gray), deflate, adaptive filtering, no interlace
+    return concatBytes([
+        new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', await deflate(raw)),
+        pngChunk('IEND', new Uint8Array(0))
+    ]);
+}
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+export function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
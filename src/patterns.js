@@ -1,3 +1,6 @@
+import { detectNames } from './name-detector.js';
+import { DATE_REGEX, parseDate } from './dates.js';
+
 // BSN Validation (Dutch 11-check)
 export function isValidBSN(bsn) {
     const digits = bsn.padStart(9, '0');
@@ -11,6 +14,233 @@ export function isValidBSN(bsn) {
     return sum % 11 === 0 && digits !== '000000000';
 }
 
+// Generic 11-check over 9 digits (BSN, old-style Dutch BTW numbers)
+function elevenProof(digits) {
+    const weights = [9, 8, 7, 6, 5, 4, 3, 2, -1];
+    let sum = 0;
+    for (let i = 0; i < 9; i++) {
+        sum += parseInt(digits[i]) * weights[i];
+    }
+    return sum % 11 === 0;
+}
+
+// Remainder of a long digit string modulo 97, without BigInt
+function mod97(digits) {
+    let remainder = 0;
+    for (const d of digits) {
+        remainder = (remainder * 10 + parseInt(d)) % 97;
+    }
+    return remainder;
+}
+
+// Luhn (mod 10) check over a digit string
+function luhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let d = parseInt(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            d *= 2;
+            if (d > 9) d -= 9;
+        }
+        sum += d;
+    }
+    return sum % 10 === 0;
+}
+
+// Letters to numbers as used by ISO 13616 / ISO 7064 (A=10 ... Z=35)
+function lettersToDigits(str) {
+    return str.replace(/[A-Z]/g, c => String(c.charCodeAt(0) - 55));
+}
+
+// IBAN lengths of the SEPA countries
+const IBAN_LENGTHS = {
+    AD: 24, AT: 20, BE: 16, BG: 22, CH: 21, CY: 28, CZ: 24, DE: 22, DK: 18,
+    EE: 20, ES: 24, FI: 18, FR: 27, GB: 22, GI: 23, GR: 27, HR: 21, HU: 28,
+    IE: 22, IS: 26, IT: 27, LI: 21, LT: 20, LU: 20, LV: 21, MC: 27, MT: 31,
+    NL: 18, NO: 15, PL: 28, PT: 25, RO: 24, SE: 24, SI: 19, SK: 24, SM: 27,
+    VA: 22
+};
+
+// IBAN validation: SEPA country length + mod-97
+export function isValidIBAN(iban) {
+    const compact = iban.replace(/\s/g, '').toUpperCase();
+    const length = IBAN_LENGTHS[compact.substring(0, 2)];
+    if (!length || compact.length !== length) return false;
+    const rearranged = compact.substring(4) + compact.substring(0, 4);
+    return mod97(lettersToDigits(rearranged)) === 1;
+}
+
+// Luhn check for payment card numbers, plus known issuer prefixes
+export function isValidCardNumber(number) {
+    const digits = number.replace(/[\s-]/g, '');
+    if (!/^\d{13,19}$/.test(digits)) return false;
+    // Visa, Mastercard, Amex, Discover, Maestro, JCB, Diners
+    if (!/^(?:4|5[1-5]|2[2-7]|3[47]|6(?:011|5|4[4-9])|5[06-8]|6\d|35|3(?:0[0-5]|[68]))/.test(digits)) return false;
+
+    return luhn(digits);
+}
+
+// EU VAT numbers with a checksum: NL (old 11-check and new mod-97),
+// BE, DE, FR and LU
+export function isValidVAT(vat) {
+    const v = vat.replace(/[\s.-]/g, '').toUpperCase();
+    const country = v.substring(0, 2);
+    const body = v.substring(2);
+
+    switch (country) {
+        case 'NL': {
+            const m = body.match(/^(\d{9})B(\d{2})$/);
+            if (!m) return false;
+            // Sole proprietors since 2020: mod-97 over the full number
+            return elevenProof(m[1]) || mod97(lettersToDigits(v)) === 1;
+        }
+        case 'BE': {
+            if (!/^[01]\d{9}$/.test(body)) return false;
+            return 97 - mod97(body.substring(0, 8)) === parseInt(body.substring(8));
+        }
+        case 'DE': {
+            if (!/^\d{9}$/.test(body)) return false;
+            // ISO 7064 MOD 11,10
+            let product = 10;
+            for (let i = 0; i < 8; i++) {
+                let sum = (parseInt(body[i]) + product) % 10;
+                if (sum === 0) sum = 10;
+                product = (sum * 2) % 11;
+            }
+            const check = (11 - product) % 10;
+            return check === parseInt(body[8]);
+        }
+        case 'FR': {
+            const m = body.match(/^(\d{2})(\d{9})$/);
+            if (!m) return false;
+            return (12 + 3 * mod97(m[2])) % 97 === parseInt(m[1]);
+        }
+        case 'LU': {
+            if (!/^\d{8}$/.test(body)) return false;
+            return parseInt(body.substring(0, 6)) % 89 === parseInt(body.substring(6));
+        }
+        default:
+            return false;
+    }
+}
+
+// Dutch license plates: the dash positions must match one of the sidecodes
+// 1-14, and letters on sidecode 4 and later exclude vowels and C/Q
+const PLATE_SIDECODES = [
+    /^[A-Z]{2}-\d{2}-\d{2}$/, /^\d{2}-\d{2}-[A-Z]{2}$/, /^\d{2}-[A-Z]{2}-\d{2}$/,
+    /^[A-Z]{2}-\d{2}-[A-Z]{2}$/, /^[A-Z]{2}-[A-Z]{2}-\d{2}$/, /^\d{2}-[A-Z]{2}-[A-Z]{2}$/,
+    /^\d{2}-[A-Z]{3}-\d$/, /^\d-[A-Z]{3}-\d{2}$/, /^[A-Z]{2}-\d{3}-[A-Z]$/,
+    /^[A-Z]-\d{3}-[A-Z]{2}$/, /^[A-Z]{3}-\d{2}-[A-Z]$/, /^[A-Z]-\d{2}-[A-Z]{3}$/,
+    /^\d-[A-Z]{2}-\d{3}$/, /^\d{3}-[A-Z]{2}-\d$/
+];
+
+export function isValidLicensePlate(plate) {
+    const p = plate.toUpperCase();
+    const sidecode = PLATE_SIDECODES.findIndex(re => re.test(p)) + 1;
+    if (sidecode === 0) return false;
+    return sidecode <= 3 || !/[AEIOUCQ]/.test(p);
+}
+
+// IBANs, compact or in groups of four. A regex takes any group after a
+// grouped IBAN as well ("BE68 5390 0754 7034 2024"), which then fails the
+// checksum, so each candidate is cut to its country's registered length.
+// Returns [{ index, text }].
+const IBAN_CANDIDATE = /\b[A-Z]{2}\d{2}(?:[A-Z0-9]{11,30}|(?: [A-Z0-9]{4}){2,7}(?: [A-Z0-9]{1,3})?)\b/g;
+
+function detectIBANs(text) {
+    const hits = [];
+    for (const m of text.matchAll(IBAN_CANDIDATE)) {
+        const length = IBAN_LENGTHS[m[0].substring(0, 2)];
+        if (!length) continue;
+        let end = 0;
+        let chars = 0;
+        while (end < m[0].length && chars < length) {
+            if (m[0][end] !== ' ') chars++;
+            end++;
+        }
+        // The cut must fall between groups
+        if (end < m[0].length && m[0][end] !== ' ') continue;
+        const iban = m[0].substring(0, end);
+        if (isValidIBAN(iban)) hits.push({ index: m.index, text: iban });
+    }
+    return hits;
+}
+
+// Card numbers in runs of digit groups ("4111 1111 1111 1111 123"). A regex
+// takes the whole run, which then fails the checksum, so every span of
+// whole groups with 13 to 19 digits is checked and the longest valid one
+// taken. Returns [{ index, text }].
+function detectCardNumbers(text) {
+    const hits = [];
+    const runRegex = /(?<![\p{L}\d_])\d+(?:[ -]\d+)*(?![\p{L}\d_])/gu;
+    let run;
+    while ((run = runRegex.exec(text)) !== null) {
+        const groups = [];
+        const groupRegex = /\d+/g;
+        let group;
+        while ((group = groupRegex.exec(run[0])) !== null) {
+            groups.push({ start: run.index + group.index, end: run.index + group.index + group[0].length, digits: group[0].length });
+        }
+
+        for (let i = 0; i < groups.length; i++) {
+            let digits = 0;
+            let best = -1;
+            for (let j = i; j < groups.length && digits + groups[j].digits <= 19; j++) {
+                digits += groups[j].digits;
+                if (digits >= 13 && isValidCardNumber(text.substring(groups[i].start, groups[j].end))) best = j;
+            }
+            if (best >= 0) {
+                hits.push({ index: groups[i].start, text: text.substring(groups[i].start, groups[best].end) });
+                i = best;
+            }
+        }
+    }
+    return hits;
+}
+
+// Dutch passport / ID-card document numbers: 2 letters, 6 letters or
+// digits, 1 digit; the letter O is never used
+export function isValidDocumentNumber(number) {
+    return /^[A-NP-Z]{2}[A-NP-Z0-9]{6}\d$/.test(number) && /\d/.test(number.substring(2, 8));
+}
+
+// Dutch addresses: street + house number, postcode + city, or both.
+// Built from parts to keep the regex readable.
+const ADDRESS_WORD = "\\p{Lu}[\\p{L}'’.-]*";
+// Name particles inside street names; prepositions such as "aan" or "op" are
+// left out, as they join sentence words to the street ("Woonachtig aan de")
+const ADDRESS_PARTICLE = "(?:van|de|der|den|het|'t|ter|ten|la|le)";
+const STREET_SUFFIX = '(?:straat|straatweg|steenweg|laan|weg|plein|gracht|kade|singel|dijk|dreef|hof|park|pad|' +
+    'steeg|markt|baan|plantsoen|ring|wal|dam|veld|erf|haven|burg|boulevard|allee|kanaal|vaart|tuin|gaarde|' +
+    'brink|poort|plaats|hoven|oord|akker|kamp|water)';
+// Words that open a multi-word street name ("Prins Hendrikkade", "Lange Voorhout")
+const STREET_PREFIX = '(?:Prins|Prinses|Koning|Koningin|Keizer|Keizerin|Graaf|Gravin|Hertog|Burgemeester|Dokter|' +
+    'Pastoor|Pater|Generaal|Kolonel|Admiraal|Professor|Sint|Eerste|Tweede|Derde|Nieuwe|Oude|Lange|Korte|Hoge|' +
+    'Lage|Grote|Kleine|Oost|West|Noord|Zuid|Binnen|Buiten|Achter|Voor)';
+// What may come before the last word of a street name: known prefixes, then
+// a name with particles ("Johan de Wittlaan", "Burg. de Withstraat"). Any
+// other capitalized word before the street is taken as part of the sentence.
+const STREET_LEAD = `(?:${STREET_PREFIX}\\s+){0,2}(?:${ADDRESS_WORD}\\s+${ADDRESS_PARTICLE}(?:\\s+${ADDRESS_PARTICLE})?\\s+)?`;
+// "Kerkstraat", "Prins Hendrikkade", "Burg. de Withstraat"
+const STREET = `${STREET_LEAD}\\p{Lu}[\\p{L}'’-]*?${STREET_SUFFIX}`;
+// Any capitalized street name, only accepted when a postcode follows
+const STREET_ANY = `${STREET_LEAD}${ADDRESS_WORD}`;
+// 12, 12a, 12 A, 12-II, 12-3, 12/2, 12 bis, 12 hs
+const HOUSE_NUMBER = '\\d{1,5}(?:\\s?[a-zA-Z](?!\\p{L}))?(?:\\s?[-/]\\s?(?:[IVX]{1,4}|\\d{1,4}|[a-zA-Z]{1,3})(?![\\p{L}\\d]))?' +
+    '(?:\\s(?:bis|hs|huis|bg|zw|rd)(?!\\p{L}))?';
+const ADDRESS_POSTCODE = '[1-9]\\d{3}\\s?[A-Z]{2}(?!\\p{L})';
+// "Utrecht", "UTRECHT", "Den Haag", "'s-Hertogenbosch", "Alphen aan den Rijn"
+const CITY = "(?:Den\\s\\p{Lu}[\\p{L}-]*|'s[- ]?\\p{Lu}[\\p{L}-]*|" +
+    "\\p{Lu}[\\p{L}'’-]*(?:\\s(?:aan|op|in|bij|onder|over)(?:\\s(?:de|den|het))?\\s\\p{Lu}[\\p{L}-]*)?)";
+const ADDRESS_REGEX = new RegExp(
+    '(?<![\\p{L}\\d])(?:' +
+    `${STREET_ANY}\\s+${HOUSE_NUMBER}[,\\s]+${ADDRESS_POSTCODE}\\s+${CITY}` +
+    `|${STREET}\\s+${HOUSE_NUMBER}(?:[,\\s]+${ADDRESS_POSTCODE}(?:\\s+${CITY})?)?` +
+    `|${ADDRESS_POSTCODE}\\s+${CITY}` +
+    ')(?![\\p{L}\\d])',
+    'gu'
+);
+
 // Pattern definitions
 export const PATTERNS = {
     '<bsn>': {
@@ -29,28 +259,154 @@ export const PATTERNS = {
         description: 'Dutch phone numbers'
     },
     '<iban>': {
-        regex: /\b[A-Z]{2}\d{2}[A-Z]{4}\d{10}\b/g,
+        // Detector instead of a regex, see detectIBANs
+        detect: (text) => detectIBANs(text),
+        validate: (match) => isValidIBAN(match),
+        description: 'IBAN numbers (SEPA countries, validated)'
+    },
+    '<creditcard>': {
+        // Detector instead of a regex, see detectCardNumbers
+        detect: (text) => detectCardNumbers(text),
+        validate: (match) => isValidCardNumber(match),
+        description: 'Credit card numbers (Luhn validated)'
+    },
+    '<kvk>': {
+        // Only numbers labelled as KvK number; the label itself stays visible
+        regex: /(?<=\b(?:KvK|K\.v\.K\.?|Kamer van Koophandel)(?:[- ]?(?:nummer|nr\.?|no\.?))?[:.]?\s{0,3})\d{8}\b/gi,
+        validate: (match) => match !== '00000000',
+        description: 'Dutch KvK numbers (after a KvK label)'
+    },
+    '<vat>': {
+        regex: /\b(?:NL ?\d{9} ?B ?\d{2}|BE ?[01][\d.]{9,12}|DE ?\d{9}|FR ?\d{2} ?\d{9}|LU ?\d{8})\b/gi,
+        validate: (match) => isValidVAT(match),
+        description: 'BTW/VAT numbers (NL, BE, DE, FR, LU; validated)'
+    },
+    '<plate>': {
+        regex: /\b[A-Z0-9]{1,3}-[A-Z0-9]{2,3}-[A-Z0-9]{1,3}\b/g,
+        validate: (match) => isValidLicensePlate(match),
+        description: 'Dutch license plates (sidecodes 1-14)'
+    },
+    '<passport>': {
+        regex: /\b[A-NP-Z]{2}[A-NP-Z0-9]{6}\d\b/g,
+        validate: (match) => isValidDocumentNumber(match),
+        description: 'Dutch passport and ID-card numbers'
+    },
+    '<big>': {
+        // Only numbers labelled as BIG number; the label itself stays visible
+        regex: /(?<=\bBIG(?:[- ]?(?:nummer|nr\.?|no\.?|registratie(?:nummer)?))?[:.]?\s{0,3})\d{11}\b/gi,
         validate: () => true,
-        description: 'IBAN numbers'
+        description: 'BIG registration numbers (after a BIG label)'
     },
     '<date>': {
-        regex: /\b\d{1,2}[-\/\.]\d{1,2}[-\/\.]\d{2,4}\b/g,
-        validate: () => true,
-        description: 'Dates (DD-MM-YYYY, etc.)'
+        regex: DATE_REGEX,
+        validate: (match) => parseDate(match) !== null,
+        description: 'Dates (12-03-1985, 1985-03-12, 12 maart 1985, March 12th, 1985, etc.)'
     },
     '<postcode>': {
         regex: /\b\d{4}\s?[A-Z]{2}\b/gi,
         validate: () => true,
         description: 'Dutch postcodes'
+    },
+    '<address>': {
+        // Lines are joined by the matcher, so an address over two lines is one match
+        regex: ADDRESS_REGEX,
+        validate: () => true,
+        description: 'Dutch addresses (street + house number, postcode + city)'
+    },
+    '<name>': {
+        // Scored detector instead of a regex; hits carry a confidence score
+        detect: (text) => detectNames(text),
+        validate: () => true,
+        description: 'Person names (Dutch/English, scored)'
     }
 };
 
+// User-defined patterns (see custom-patterns.js), compiled like PATTERNS
+let customPatterns = {};
+
+// Checksums a custom pattern can require, applied to the value's digits
+// (letters count as 10-35 for mod-97)
+export const CHECKSUMS = {
+    none: { label: 'None', check: () => true },
+    luhn: {
+        label: 'Luhn (mod 10)',
+        check: (value) => {
+            const digits = value.replace(/\D/g, '');
+            return digits.length > 0 && luhn(digits);
+        }
+    },
+    elevenproof: {
+        label: '11-proof (9 digits, like BSN)',
+        check: (value) => {
+            const digits = value.replace(/\D/g, '');
+            return digits.length === 9 && elevenProof(digits);
+        }
+    },
+    mod97: {
+        label: 'Mod-97 = 1 (ISO 7064)',
+        check: (value) => {
+            const compact = value.replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+            return compact.length > 0 && mod97(lettersToDigits(compact)) === 1;
+        }
+    }
+};
+
+// Build the validate function for a custom pattern definition
+function buildCustomValidator({ minLength, maxLength, checksum, prefixes }) {
+    const allowedPrefixes = (prefixes || []).map(p => p.toUpperCase());
+    const checksumFn = (CHECKSUMS[checksum] || CHECKSUMS.none).check;
+
+    return (match) => {
+        // Lengths and prefixes apply to the value without spaces/separators
+        const compact = match.replace(/[\s.\-\/]/g, '').toUpperCase();
+        if (minLength && compact.length < minLength) return false;
+        if (maxLength && compact.length > maxLength) return false;
+        if (allowedPrefixes.length > 0 && !allowedPrefixes.some(p => compact.startsWith(p))) return false;
+        return checksumFn(match);
+    };
+}
+
+// Compile a custom pattern definition. Throws if the regex is invalid.
+export function compileCustomPattern(def) {
+    return {
+        regex: new RegExp(def.regex, def.caseSensitive ? 'g' : 'gi'),
+        validate: buildCustomValidator(def),
+        description: def.description || `Custom pattern <${def.name}>`,
+        custom: true
+    };
+}
+
+// Replace the set of active custom patterns. Definitions that fail to
+// compile are skipped and returned so the caller can report them.
+export function setCustomPatterns(defs) {
+    customPatterns = {};
+    const failed = [];
+    for (const def of defs) {
+        const key = `<${def.name}>`;
+        if (key in PATTERNS) {
+            failed.push({ def, error: 'name is taken by a built-in pattern' });
+            continue;
+        }
+        try {
+            customPatterns[key] = compileCustomPattern(def);
+        } catch (e) {
+            failed.push({ def, error: e.message });
+        }
+    }
+    return failed;
+}
+
+// Look up a built-in or custom pattern
+export function getPattern(term) {
+    return PATTERNS[term] || customPatterns[term] || null;
+}
+
 // Get all pattern keys
 export function getPatternKeys() {
-    return Object.keys(PATTERNS);
+    return [...Object.keys(PATTERNS), ...Object.keys(customPatterns)];
 }
 
 // Check if a term is a pattern
 export function isPattern(term) {
-    return term in PATTERNS;
+    return term in PATTERNS || term in customPatterns;
 }
@@ -0,0 +1,387 @@
+// PDF encryption (standard security handler)
+//
+// Decryption covers what pdf.js opens: RC4 40-128 bit (revisions 2-4),
+// AES-128 (revision 4) and AES-256 (revisions 5 and 6). Output is always
+// encrypted with AES-256, revision 6. AES and SHA-2 come from Web Crypto;
+// MD5 and RC4, which it lacks, are implemented here.
+//
+// Values follow the object model of pdf-parser.js. The /Encrypt dictionary
+// is passed in with its references already resolved.
+
+const isName = (value, name) => value !== null && typeof value === 'object' && value.name === name;
+const isString = (value) => value !== null && typeof value === 'object' && value.bytes instanceof Uint8Array;
+const isStream = (value) => value !== null && typeof value === 'object' && value.dict instanceof Map && value.data instanceof Uint8Array;
+
+// Padding string of algorithm 2 (ISO 32000-1, 7.6.3.3)
+const PASSWORD_PADDING = new Uint8Array([
+    0x28, 0xbf, 0x4e, 0x5e, 0x4e, 0x75, 0x8a, 0x41, 0x64, 0x00, 0x4e, 0x56, 0xff, 0xfa, 0x01, 0x08,
+    0x2e, 0x2e, 0x00, 0xb6, 0xd0, 0x68, 0x3e, 0x80, 0x2f, 0x0c, 0xa9, 0xfe, 0x64, 0x53, 0x69, 0x7a
+]);
+
+// Permission flags (bits 1-32, bit 1 lowest). Bits 7-8 and 13-32 must be
+// set, bits 1-2 clear; bit 3 allows printing, bit 12 printing at full quality.
+const RESERVED_PERMISSION_BITS = 0xFFFFF0C0;
+export const PERMISSIONS = {
+    PRINT_ONLY: (RESERVED_PERMISSION_BITS | (1 << 2) | (1 << 11)) | 0,
+    NONE: RESERVED_PERMISSION_BITS | 0
+};
+
+// MD5 (RFC 1321)
+
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_TABLE = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) | 0);
+
+export function md5(data) {
+    const length = data.length;
+    const padded = new Uint8Array(((length + 8) >> 6) * 64 + 64);
+    padded.set(data);
+    padded[length] = 0x80;
+    const bits = length * 8;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, bits >>> 0, true);
+    view.setUint32(padded.length - 4, Math.floor(bits / 2 ** 32), true);
+
+    let h0 = 0x67452301, h1 = 0xefcdab89 | 0, h2 = 0x98badcfe | 0, h3 = 0x10325476;
+    const w = new Int32Array(16);
+    for (let offset = 0; offset < padded.length; offset += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getInt32(offset + i * 4, true);
+        let a = h0, b = h1, c = h2, d = h3;
+        for (let i = 0; i < 64; i++) {
+            let f, g;
+            if (i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) % 16;
+            } else if (i < 48) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) % 16;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) % 16;
+            }
+            const shift = MD5_SHIFTS[(i >> 4) * 4 + (i % 4)];
+            const sum = (a + f + MD5_TABLE[i] + w[g]) | 0;
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+        }
+        h0 = (h0 + a) | 0;
+        h1 = (h1 + b) | 0;
+        h2 = (h2 + c) | 0;
+        h3 = (h3 + d) | 0;
+    }
+
+    const out = new Uint8Array(16);
+    const outView = new DataView(out.buffer);
+    [h0, h1, h2, h3].forEach((h, i) => outView.setInt32(i * 4, h, true));
+    return out;
+}
+
+export function rc4(key, data) {
+    const s = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) s[i] = i;
+    for (let i = 0, j = 0; i < 256; i++) {
+        j = (j + s[i] + key[i % key.length]) & 0xFF;
+        [s[i], s[j]] = [s[j], s[i]];
+    }
+    const out = new Uint8Array(data.length);
+    for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+        i = (i + 1) & 0xFF;
+        j = (j + s[i]) & 0xFF;
+        [s[i], s[j]] = [s[j], s[i]];
+        out[k] = data[k] ^ s[(s[i] + s[j]) & 0xFF];
+    }
+    return out;
+}
+
+// AES-CBC and SHA-2 through Web Crypto
+
+function concat(...parts) {
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let pos = 0;
+    for (const part of parts) {
+        out.set(part, pos);
+        pos += part.length;
+    }
+    return out;
+}
+
+const randomBytes = (n) => crypto.getRandomValues(new Uint8Array(n));
+
+async function sha(bits, data) {
+    return new Uint8Array(await crypto.subtle.digest(`SHA-${bits}`, data));
+}
+
+function aesKey(key, usage) {
+    return crypto.subtle.importKey('raw', key, 'AES-CBC', false, [usage]);
+}
+
+// CBC with PKCS#5 padding, as used for strings and streams
+async function aesEncrypt(key, iv, data) {
+    const cipher = await crypto.subtle.encrypt({ name: 'AES-CBC', iv }, await aesKey(key, 'encrypt'), data);
+    return new Uint8Array(cipher);
+}
+
+async function aesDecrypt(key, iv, data) {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, await aesKey(key, 'decrypt'), data);
+    return new Uint8Array(plain);
+}
+
+// CBC without padding (data a multiple of 16 bytes). Web Crypto always pads,
+// so the padding block is cut off when encrypting, and supplied when
+// decrypting by appending the encryption of a full padding block.
+async function aesEncryptRaw(key, iv, data) {
+    return (await aesEncrypt(key, iv, data)).subarray(0, data.length);
+}
+
+async function aesDecryptRaw(key, iv, data) {
+    const last = data.length ? data.subarray(data.length - 16) : iv;
+    const paddingBlock = await aesEncryptRaw(key, last, new Uint8Array(16).fill(16));
+    return aesDecrypt(key, iv, concat(data, paddingBlock));
+}
+
+// Password hashing for AES-256: algorithm 2.B (revision 6), or plain
+// SHA-256 (revision 5)
+async function hash2B(revision, password, salt, userKey) {
+    let k = await sha(256, concat(password, salt, userKey));
+    if (revision < 6) return k;
+
+    let e = new Uint8Array([0]);
+    for (let i = 0; i < 64 || e[e.length - 1] > i - 32; i++) {
+        const block = concat(password, k, userKey);
+        const k1 = new Uint8Array(block.length * 64);
+        for (let j = 0; j < 64; j++) k1.set(block, j * block.length);
+        e = await aesEncryptRaw(k.subarray(0, 16), k.subarray(16, 32), k1);
+        const remainder = e.subarray(0, 16).reduce((a, b) => a + b, 0) % 3;
+        k = await sha([256, 384, 512][remainder], e);
+    }
+    return k.subarray(0, 32);
+}
+
+// pdf.js reads revision 6 passwords as UTF-8 and older ones byte by byte
+function passwordBytes(password, revision) {
+    if (revision >= 6) return new TextEncoder().encode(password).subarray(0, 127);
+    const bytes = new Uint8Array(Math.min(password.length, 127));
+    for (let i = 0; i < bytes.length; i++) bytes[i] = password.charCodeAt(i) & 0xFF;
+    return bytes;
+}
+
+const equalBytes = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+// Key for revisions 2-4 from a user password (algorithm 2), or null when
+// the password does not match /U (algorithms 4 and 5)
+function rc4FileKey(password, { o, u, p, id, revision, length, encryptMetadata }) {
+    const padded = concat(password.subarray(0, 32), PASSWORD_PADDING.subarray(0, 32 - Math.min(32, password.length)));
+    const pBytes = new Uint8Array([p & 0xFF, (p >> 8) & 0xFF, (p >> 16) & 0xFF, (p >>> 24) & 0xFF]);
+    const metadataFlag = revision >= 4 && !encryptMetadata ? new Uint8Array([0xFF, 0xFF, 0xFF, 0xFF]) : new Uint8Array(0);
+    let hash = md5(concat(padded, o.subarray(0, 32), pBytes, id, metadataFlag));
+    if (revision >= 3) {
+        for (let i = 0; i < 50; i++) hash = md5(hash.subarray(0, length));
+    }
+    const key = hash.subarray(0, length);
+
+    if (revision === 2) return equalBytes(rc4(key, PASSWORD_PADDING), u.subarray(0, 32)) ? key : null;
+    let check = rc4(key, md5(concat(PASSWORD_PADDING, id)));
+    for (let i = 1; i <= 19; i++) check = rc4(key.map(b => b ^ i), check);
+    return equalBytes(check, u.subarray(0, 16)) ? key : null;
+}
+
+// The user password hidden in /O, given the owner password (algorithm 7)
+function rc4UserPassword(ownerPassword, { o, revision, length }) {
+    const padded = concat(ownerPassword.subarray(0, 32), PASSWORD_PADDING.subarray(0, 32 - Math.min(32, ownerPassword.length)));
+    let hash = md5(padded);
+    if (revision >= 3) {
+        for (let i = 0; i < 50; i++) hash = md5(hash);
+    }
+    const key = hash.subarray(0, length);
+    if (revision === 2) return rc4(key, o.subarray(0, 32));
+    let result = o.subarray(0, 32);
+    for (let i = 19; i >= 0; i--) result = rc4(key.map(b => b ^ i), result);
+    return result;
+}
+
+function objectKey(fileKey, num, gen, aes) {
+    const salt = aes ? [0x73, 0x41, 0x6C, 0x54] : [];
+    const hash = md5(concat(fileKey, new Uint8Array([num & 0xFF, (num >> 8) & 0xFF, (num >> 16) & 0xFF, gen & 0xFF, (gen >> 8) & 0xFF, ...salt])));
+    return hash.subarray(0, Math.min(fileKey.length + 5, 16));
+}
+
+// Crypt filter method ('None', 'V2', 'AESV2' or 'AESV3') for /StmF or /StrF
+function cryptMethod(dict, key) {
+    const name = dict.get(key);
+    if (!name || isName(name, 'Identity')) return 'None';
+    const filters = dict.get('CF');
+    const filter = filters instanceof Map ? filters.get(name.name) : null;
+    const method = filter instanceof Map ? filter.get('CFM') : null;
+    return method ? method.name : 'None';
+}
+
+// Decryptor for a file's /Encrypt dictionary. Throws when the password
+// is neither the user nor the owner password.
+// Returns { decryptObject(value, num, gen) }.
+export async function createDecryptor(dict, fileId, password) {
+    if (!isName(dict.get('Filter'), 'Standard')) throw new Error('Unsupported PDF security handler');
+    const v = dict.get('V');
+    const revision = dict.get('R');
+    const bytesOf = (key) => {
+        const value = dict.get(key);
+        return isString(value) ? value.bytes : new Uint8Array(0);
+    };
+    const o = bytesOf('O');
+    const u = bytesOf('U');
+    const encryptMetadata = dict.get('EncryptMetadata') !== false;
+
+    let fileKey;
+    let stringMethod = 'V2';
+    let streamMethod = 'V2';
+    if (v === 5) {
+        const pw = passwordBytes(password, revision);
+        const userKey = u.subarray(0, 48);
+        if (equalBytes(await hash2B(revision, pw, u.subarray(32, 40), new Uint8Array(0)), u.subarray(0, 32))) {
+            fileKey = await aesDecryptRaw(await hash2B(revision, pw, u.subarray(40, 48), new Uint8Array(0)), new Uint8Array(16), bytesOf('UE'));
+        } else if (equalBytes(await hash2B(revision, pw, o.subarray(32, 40), userKey), o.subarray(0, 32))) {
+            fileKey = await aesDecryptRaw(await hash2B(revision, pw, o.subarray(40, 48), userKey), new Uint8Array(16), bytesOf('OE'));
+        }
+        stringMethod = cryptMethod(dict, 'StrF');
+        streamMethod = cryptMethod(dict, 'StmF');
+    } else if (v === 1 || v === 2 || v === 4) {
+        // Key length in bits; a crypt filter may give it in bytes
+        let bits = dict.get('Length');
+        if (!bits && v === 4) {
+            const filters = dict.get('CF');
+            const stmf = dict.get('StmF');
+            const filter = filters instanceof Map && stmf ? filters.get(stmf.name) : null;
+            const filterLength = filter instanceof Map ? filter.get('Length') : null;
+            bits = filterLength ? (filterLength < 40 ? filterLength * 8 : filterLength) : 128;
+        }
+        const params = {
+            o, u, p: dict.get('P') | 0, id: fileId, revision, encryptMetadata,
+            length: Math.min(16, (bits || 40) >> 3)
+        };
+        const pw = passwordBytes(password, revision);
+        fileKey = rc4FileKey(pw, params) || rc4FileKey(rc4UserPassword(pw, params), params);
+        if (v === 4) {
+            stringMethod = cryptMethod(dict, 'StrF');
+            streamMethod = cryptMethod(dict, 'StmF');
+        }
+    } else {
+        throw new Error(`Unsupported PDF encryption (V ${v})`);
+    }
+    if (!fileKey) throw new Error('Incorrect password');
+
+    const decryptBytes = async (method, data, num, gen) => {
+        if (method === 'None') return data;
+        if (method === 'V2') return rc4(objectKey(fileKey, num, gen, false), data);
+        if (data.length < 32 || data.length % 16 !== 0) return new Uint8Array(0);
+        const key = method === 'AESV3' ? fileKey : objectKey(fileKey, num, gen, true);
+        try {
+            return await aesDecrypt(key, data.subarray(0, 16), data.subarray(16));
+        } catch (err) {
+            return new Uint8Array(0); // bad padding: damaged string
+        }
+    };
+
+    const decryptValue = async (value, num, gen) => {
+        if (isString(value)) return { bytes: await decryptBytes(stringMethod, value.bytes, num, gen) };
+        if (Array.isArray(value)) {
+            const out = [];
+            for (const item of value) out.push(await decryptValue(item, num, gen));
+            return out;
+        }
+        if (value instanceof Map) {
+            const out = new Map();
+            for (const [key, item] of value) out.set(key, await decryptValue(item, num, gen));
+            return out;
+        }
+        return value;
+    };
+
+    return {
+        async decryptObject(value, num, gen) {
+            if (!isStream(value)) return decryptValue(value, num, gen);
+            const dict = await decryptValue(value.dict, num, gen);
+            if (isName(dict.get('Type'), 'XRef')) return { dict, data: value.data };
+            if (!encryptMetadata && isName(dict.get('Type'), 'Metadata')) return { dict, data: value.data };
+            return { dict, data: await decryptBytes(streamMethod, value.data, num, gen) };
+        }
+    };
+}
+
+// AES-256 (revision 6) encryption with a user password, a random owner
+// password and the given permission flags.
+// Returns { dict, id, encryptObject(value) }: the /Encrypt dictionary, the
+// file identifier for the trailer /ID, and a function that encrypts the
+// strings and stream data of an object.
+export async function createEncryptor(password, permissions) {
+    const fileKey = randomBytes(32);
+    const user = passwordBytes(password, 6);
+    const owner = randomBytes(32);
+    const zeroIv = new Uint8Array(16);
+
+    const userSalts = randomBytes(16);
+    const u = concat(await hash2B(6, user, userSalts.subarray(0, 8), new Uint8Array(0)), userSalts);
+    const ue = await aesEncryptRaw(await hash2B(6, user, userSalts.subarray(8, 16), new Uint8Array(0)), zeroIv, fileKey);
+
+    const ownerSalts = randomBytes(16);
+    const o = concat(await hash2B(6, owner, ownerSalts.subarray(0, 8), u), ownerSalts);
+    const oe = await aesEncryptRaw(await hash2B(6, owner, ownerSalts.subarray(8, 16), u), zeroIv, fileKey);
+
+    const perms = concat(
+        new Uint8Array([permissions & 0xFF, (permissions >> 8) & 0xFF, (permissions >> 16) & 0xFF, (permissions >>> 24) & 0xFF]),
+        new Uint8Array([0xFF, 0xFF, 0xFF, 0xFF, 0x54, 0x61, 0x64, 0x62]),
+        randomBytes(4)
+    );
+
+    const dict = new Map([
+        ['Filter', { name: 'Standard' }],
+        ['V', 5],
+        ['R', 6],
+        ['Length', 256],
+        ['CF', new Map([['StdCF', new Map([
+            ['Type', { name: 'CryptFilter' }],
+            ['CFM', { name: 'AESV3' }],
+            ['AuthEvent', { name: 'DocOpen' }],
+            ['Length', 32]
+        ])]])],
+        ['StmF', { name: 'StdCF' }],
+        ['StrF', { name: 'StdCF' }],
+        ['O', { bytes: o }],
+        ['U', { bytes: u }],
+        ['OE', { bytes: oe }],
+        ['UE', { bytes: ue }],
+        ['P', permissions],
+        ['Perms', { bytes: await aesEncryptRaw(fileKey, zeroIv, perms) }],
+        ['EncryptMetadata', true]
+    ]);
+
+    const encryptBytes = async (data) => {
+        const iv = randomBytes(16);
+        return concat(iv, await aesEncrypt(fileKey, iv, data));
+    };
+    const encryptValue = async (value) => {
+        if (isString(value)) return { bytes: await encryptBytes(value.bytes) };
+        if (Array.isArray(value)) {
+            const out = [];
+            for (const item of value) out.push(await encryptValue(item));
+            return out;
+        }
+        if (value instanceof Map) {
+            const out = new Map();
+            for (const [key, item] of value) out.set(key, await encryptValue(item));
+            return out;
+        }
+        return value;
+    };
+
+    return {
+        dict,
+        id: randomBytes(16),
+        async encryptObject(value) {
+            if (!isStream(value)) return encryptValue(value);
+            return { dict: await encryptValue(value.dict), data: await encryptBytes(value.data) };
+        }
+    };
+}
@@ -0,0 +1,697 @@
+// Minimal PDF object reader
+//
+// Reads the object graph of a PDF for the vector redaction mode: classic and
+// cross-reference stream tables, object streams, the common stream filters
+// and encrypted files (see pdf-crypto.js). Objects are plain values:
+//
+//   number, boolean, null   as themselves
+//   name                    { name: 'Type' }
+//   string                  { bytes: Uint8Array }
+//   reference               { num, gen }
+//   array                   Array
+//   dictionary              Map, keyed by name without the slash
+//   stream                  { dict: Map, data: Uint8Array } (still encoded)
+//
+// Content streams parse to [{ op, operands }]; inline images keep their
+// dictionary and raw bytes as { op: 'BI', dict, data }.
+import { createDecryptor } from './pdf-crypto.js';
+
+const WHITESPACE = new Set([0, 9, 10, 12, 13, 32]);
+const DELIMITERS = new Set([...'()<>[]{}/%'].map(c => c.charCodeAt(0)));
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+export const isName = (value, name) => value !== null && typeof value === 'object' &&
+    typeof value.name === 'string' && (name === undefined || value.name === name);
+export const isRef = (value) => value !== null && typeof value === 'object' && Number.isInteger(value.num);
+export const isStream = (value) => value !== null && typeof value === 'object' &&
+    value.dict instanceof Map && value.data instanceof Uint8Array;
+export const isString = (value) => value !== null && typeof value === 'object' && value.bytes instanceof Uint8Array;
+
+// Follow a reference into the file's objects
+export function resolve(file, value) {
+    return isRef(value) ? (file.objects.has(value.num) ? file.objects.get(value.num) : null) : value;
+}
+
+// Look up a dictionary entry and resolve it
+export function get(file, dict, key) {
+    return dict instanceof Map ? resolve(file, dict.get(key)) : null;
+}
+
+// Add an object to the file. Returns its reference.
+export function addObject(file, value) {
+    const num = file.nextNum++;
+    file.objects.set(num, value);
+    return { num, gen: 0 };
+}
+
+// Windows-1252 decodes every byte to one character, so string offsets
+// equal byte offsets
+const BYTE_DECODER = new TextDecoder('windows-1252');
+
+export function bytesToText(bytes) {
+    return BYTE_DECODER.decode(bytes);
+}
+
+// Tokenizer
+
+function skipWhitespace(lexer) {
+    const { bytes } = lexer;
+    while (lexer.pos < bytes.length) {
+        const c = bytes[lexer.pos];
+        if (WHITESPACE.has(c)) {
+            lexer.pos++;
+        } else if (c === 0x25) { // % comment
+            while (lexer.pos < bytes.length && bytes[lexer.pos] !== 10 && bytes[lexer.pos] !== 13) lexer.pos++;
+        } else {
+            break;
+        }
+    }
+}
+
+function readLiteralString(lexer) {
+    const { bytes } = lexer;
+    const out = [];
+    let depth = 1;
+    lexer.pos++; // (
+    while (lexer.pos < bytes.length) {
+        let c = bytes[lexer.pos++];
+        if (c === 0x28) {
+            depth++;
+        } else if (c === 0x29) {
+            if (--depth === 0) break;
+        } else if (c === 0x5C) { // backslash
+            c = bytes[lexer.pos++];
+            const escapes = { 0x6E: 10, 0x72: 13, 0x74: 9, 0x62: 8, 0x66: 12 };
+            if (escapes[c] !== undefined) {
+                c = escapes[c];
+            } else if (c >= 0x30 && c <= 0x37) {
+                let code = c - 0x30;
+                for (let i = 0; i < 2 && bytes[lexer.pos] >= 0x30 && bytes[lexer.pos] <= 0x37; i++) {
+                    code = code * 8 + bytes[lexer.pos++] - 0x30;
+                }
+                c = code & 0xFF;
+            } else if (c === 13 || c === 10) {
+                // Line continuation
+                if (c === 13 && bytes[lexer.pos] === 10) lexer.pos++;
+                continue;
+            }
+        }
+        out.push(c);
+    }
+    return new Uint8Array(out);
+}
+
+function readHexString(lexer) {
+    const { bytes } = lexer;
+    const digits = [];
+    lexer.pos++; // <
+    while (lexer.pos < bytes.length && bytes[lexer.pos] !== 0x3E) {
+        const digit = parseInt(String.fromCharCode(bytes[lexer.pos++]), 16);
+        if (!Number.isNaN(digit)) digits.push(digit);
+    }
+    lexer.pos++; // >
+    if (digits.length % 2) digits.push(0);
+    const out = new Uint8Array(digits.length / 2);
+    for (let i = 0; i < out.length; i++) out[i] = digits[i * 2] * 16 + digits[i * 2 + 1];
+    return out;
+}
+
+// Next token as { type: 'number' | 'name' | 'string' | 'punct' | 'keyword', value },
+// or null at the end of the data
+function nextToken(lexer) {
+    skipWhitespace(lexer);
+    const { bytes } = lexer;
+    if (lexer.pos >= bytes.length) return null;
+    const c = bytes[lexer.pos];
+
+    if (c === 0x2F) { // /Name, with #xx escapes
+        lexer.pos++;
+        let name = '';
+        while (lexer.pos < bytes.length && !WHITESPACE.has(bytes[lexer.pos]) && !DELIMITERS.has(bytes[lexer.pos])) {
+            const b = bytes[lexer.pos++];
+            const hex = b === 0x23 ? String.fromCharCode(bytes[lexer.pos], bytes[lexer.pos + 1]) : '';
+            if (/^[0-9A-Fa-f]{2}$/.test(hex)) {
+                name += String.fromCharCode(parseInt(hex, 16));
+                lexer.pos += 2;
+            } else {
+                name += String.fromCharCode(b);
+            }
+        }
+        return { type: 'name', value: name };
+    }
+    if (c === 0x28) return { type: 'string', value: readLiteralString(lexer) };
+    if (c === 0x3C) {
+        if (bytes[lexer.pos + 1] === 0x3C) {
+            lexer.pos += 2;
+            return { type: 'punct', value: '<<' };
+        }
+        return { type: 'string', value: readHexString(lexer) };
+    }
+    if (c === 0x3E && bytes[lexer.pos + 1] === 0x3E) {
+        lexer.pos += 2;
+        return { type: 'punct', value: '>>' };
+    }
+    if (DELIMITERS.has(c)) {
+        lexer.pos++;
+        return { type: 'punct', value: String.fromCharCode(c) };
+    }
+
+    const start = lexer.pos;
+    while (lexer.pos < bytes.length && !WHITESPACE.has(bytes[lexer.pos]) && !DELIMITERS.has(bytes[lexer.pos])) lexer.pos++;
+    const text = bytesToText(bytes.subarray(start, lexer.pos));
+    return NUMBER.test(text) ? { type: 'number', value: parseFloat(text) } : { type: 'keyword', value: text };
+}
+
+// Parse one value starting at `token`. In content streams (allowRefs false)
+// keywords come back as { op }.
+function parseValue(lexer, token, allowRefs) {
+    if (!token) throw new Error('Unexpected end of PDF data');
+
+    switch (token.type) {
+        case 'number': {
+            if (allowRefs && Number.isInteger(token.value)) {
+                const save = lexer.pos;
+                const gen = nextToken(lexer);
+                const r = gen && gen.type === 'number' ? nextToken(lexer) : null;
+                if (r && r.type === 'keyword' && r.value === 'R') return { num: token.value, gen: gen.value };
+                lexer.pos = save;
+            }
+            return token.value;
+        }
+        case 'name':
+            return { name: token.value };
+        case 'string':
+            return { bytes: token.value };
+        case 'punct':
+            if (token.value === '[') {
+                const array = [];
+                for (let t = nextToken(lexer); t && !(t.type === 'punct' && t.value === ']'); t = nextToken(lexer)) {
+                    array.push(parseValue(lexer, t, allowRefs));
+                }
+                return array;
+            }
+            if (token.value === '<<') {
+                const dict = new Map();
+                for (let t = nextToken(lexer); t && !(t.type === 'punct' && t.value === '>>'); t = nextToken(lexer)) {
+                    if (t.type !== 'name') continue; // skip junk keys
+                    dict.set(t.value, parseValue(lexer, nextToken(lexer), allowRefs));
+                }
+                return dict;
+            }
+            return null;
+        case 'keyword':
+            if (token.value === 'true') return true;
+            if (token.value === 'false') return false;
+            if (token.value === 'null') return null;
+            return allowRefs ? null : { op: token.value };
+    }
+    return null;
+}
+
+function indexOfBytes(bytes, pattern, from) {
+    const first = pattern.charCodeAt(0);
+    outer: for (let i = bytes.indexOf(first, from); i !== -1; i = bytes.indexOf(first, i + 1)) {
+        for (let j = 1; j < pattern.length; j++) {
+            if (bytes[i + j] !== pattern.charCodeAt(j)) continue outer;
+        }
+        return i;
+    }
+    return -1;
+}
+
+// Parse "num gen obj ... endobj" at `offset`. Returns { num, gen, value }.
+function parseIndirectObject(bytes, offset) {
+    const lexer = { bytes, pos: offset };
+    const num = nextToken(lexer);
+    const gen = nextToken(lexer);
+    const obj = nextToken(lexer);
+    if (!num || num.type !== 'number' || !gen || gen.type !== 'number' || !obj || obj.value !== 'obj') {
+        throw new Error(`No object at offset ${offset}`);
+    }
+
+    const value = parseValue(lexer, nextToken(lexer), true);
+    const save = lexer.pos;
+    const next = nextToken(lexer);
+    if (!(value instanceof Map) || !next || next.value !== 'stream') {
+        lexer.pos = save;
+        return { num: num.value, gen: gen.value, value };
+    }
+
+    // Stream data starts after the EOL following "stream"
+    let start = lexer.pos;
+    if (bytes[start] === 13) start++;
+    if (bytes[start] === 10) start++;
+
+    // Trust /Length only when "endstream" follows it
+    const length = value.get('Length');
+    let end = -1;
+    if (Number.isInteger(length) && start + length <= bytes.length) {
+        const after = { bytes, pos: start + length };
+        const token = nextToken(after);
+        if (token && token.value === 'endstream') end = start + length;
+    }
+    if (end === -1) {
+        end = indexOfBytes(bytes, 'endstream', start);
+        if (end === -1) throw new Error(`Unterminated stream in object ${num.value}`);
+        if (bytes[end - 1] === 10) end--;
+        if (bytes[end - 1] === 13) end--;
+    }
+    return { num: num.value, gen: gen.value, value: { dict: value, data: bytes.slice(start, end) } };
+}
+
+// Content streams
+
+// Parse a decoded content stream into [{ op, operands }]
+export function parseContent(bytes) {
+    const lexer = { bytes, pos: 0 };
+    const ops = [];
+    let operands = [];
+
+    for (let token = nextToken(lexer); token; token = nextToken(lexer)) {
+        const value = parseValue(lexer, token, false);
+        if (!value || typeof value !== 'object' || typeof value.op !== 'string') {
+            operands.push(value);
+            continue;
+        }
+        if (value.op !== 'BI') {
+            ops.push({ op: value.op, operands });
+            operands = [];
+            continue;
+        }
+
+        // Inline image: key/value pairs up to ID, then binary data up to EI
+        const dict = new Map();
+        for (let t = nextToken(lexer); t && t.value !== 'ID'; t = nextToken(lexer)) {
+            if (t.type === 'name') dict.set(t.value, parseValue(lexer, nextToken(lexer), false));
+        }
+        const start = lexer.pos + 1;
+        let end = start;
+        for (;;) {
+            end = indexOfBytes(bytes, 'EI', end);
+            if (end === -1) {
+                end = bytes.length;
+                break;
+            }
+            if (WHITESPACE.has(bytes[end - 1]) && (end + 2 >= bytes.length || WHITESPACE.has(bytes[end + 2]))) break;
+            end += 2;
+        }
+        ops.push({ op: 'BI', operands: [], dict, data: bytes.slice(start, Math.max(start, end - 1)) });
+        lexer.pos = end + 2;
+        operands = [];
+    }
+    return ops;
+}
+
+// Stream filters
+
+export function concatBytes(chunks) {
+    const out = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        out.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return out;
+}
+
+async function inflate(data) {
+    const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate')).getReader();
+    const chunks = [];
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+        }
+    } catch (err) {
+        // Many writers leave junk after the compressed data
+        if (chunks.length === 0) throw err;
+    }
+    return concatBytes(chunks);
+}
+
+function asciiHexDecode(data) {
+    const text = bytesToText(data).replace(/>.*$/s, '').replace(/[^0-9A-Fa-f]/g, '');
+    const padded = text.length % 2 ? text + '0' : text;
+    const out = new Uint8Array(padded.length / 2);
+    for (let i = 0; i < out.length; i++) out[i] = parseInt(padded.substr(i * 2, 2), 16);
+    return out;
+}
+
+function ascii85Decode(data) {
+    const out = [];
+    let group = [];
+    const flush = (count) => {
+        let value = 0;
+        for (let i = 0; i < 5; i++) value = value * 85 + (i < group.length ? group[i] : 84);
+        for (let i = 0; i < count; i++) out.push((value >>> (24 - i * 8)) & 0xFF);
+        group = [];
+    };
+    for (let i = 0; i < data.length; i++) {
+        const c = data[i];
+        if (c === 0x7E) break; // ~>
+        if (WHITESPACE.has(c)) continue;
+        if (c === 0x7A && group.length === 0) { // z
+            out.push(0, 0, 0, 0);
+            continue;
+        }
+        group.push(c - 33);
+        if (group.length === 5) flush(4);
+    }
+    if (group.length > 1) flush(group.length - 1);
+    return new Uint8Array(out);
+}
+
+function lzwDecode(data, earlyChange) {
+    const out = [];
+    let table = [];
+    let codeLength = 9;
+    let prev = null;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const reset = () => {
+        table = [];
+        for (let i = 0; i < 256; i++) table.push([i]);
+        table.push(null, null); // 256 clear, 257 end
+        codeLength = 9;
+        prev = null;
+    };
+    reset();
+
+    for (let i = 0; i < data.length; i++) {
+        bitBuffer = (bitBuffer << 8) | data[i];
+        bitCount += 8;
+        while (bitCount >= codeLength) {
+            const code = (bitBuffer >>> (bitCount - codeLength)) & ((1 << codeLength) - 1);
+            bitCount -= codeLength;
+            bitBuffer &= (1 << bitCount) - 1;
+
+            if (code === 256) {
+                reset();
+                continue;
+            }
+            if (code === 257) return new Uint8Array(out);
+
+            let entry;
+            if (code < table.length && table[code]) {
+                entry = table[code];
+                if (prev) table.push([...prev, entry[0]]);
+            } else if (prev) {
+                entry = [...prev, prev[0]];
+                table.push(entry);
+            } else {
+                continue;
+            }
+            out.push(...entry);
+            prev = entry;
+            if (table.length + earlyChange >= (1 << codeLength) && codeLength < 12) codeLength++;
+        }
+    }
+    return new Uint8Array(out);
+}
+
+function runLengthDecode(data) {
+    const out = [];
+    for (let i = 0; i < data.length;) {
+        const length = data[i++];
+        if (length === 128) break;
+        if (length < 128) {
+            for (let j = 0; j <= length && i < data.length; j++) out.push(data[i++]);
+        } else {
+            const value = data[i++];
+            for (let j = 0; j < 257 - length; j++) out.push(value);
+        }
+    }
+    return new Uint8Array(out);
+}
+
+// Undo PNG and TIFF predictors (Flate and LZW decode parameters)
+function unpredict(data, parms) {
+    const predictor = (parms && parms.get('Predictor')) || 1;
+    if (predictor === 1) return data;
+
+    const colors = parms.get('Colors') || 1;
+    const bits = parms.get('BitsPerComponent') || 8;
+    const columns = parms.get('Columns') || 1;
+    const bpp = Math.max(1, Math.ceil(colors * bits / 8));
+    const rowLength = Math.ceil(colors * bits * columns / 8);
+
+    if (predictor === 2) {
+        if (bits !== 8) throw new Error('Unsupported TIFF predictor');
+        const out = data.slice();
+        for (let row = 0; row < out.length; row += rowLength) {
+            for (let i = bpp; i < rowLength && row + i < out.length; i++) out[row + i] = (out[row + i] + out[row + i - bpp]) & 0xFF;
+        }
+        return out;
+    }
+
+    const rows = Math.floor(data.length / (rowLength + 1));
+    const out = new Uint8Array(rows * rowLength);
+    for (let r = 0; r < rows; r++) {
+        const type = data[r * (rowLength + 1)];
+        const src = r * (rowLength + 1) + 1;
+        const dst = r * rowLength;
+        for (let i = 0; i < rowLength; i++) {
+            const left = i >= bpp ? out[dst + i - bpp] : 0;
+            const up = r > 0 ? out[dst - rowLength + i] : 0;
+            const upLeft = r > 0 && i >= bpp ? out[dst - rowLength + i - bpp] : 0;
+            let value = data[src + i];
+            if (type === 1) value += left;
+            else if (type === 2) value += up;
+            else if (type === 3) value += (left + up) >> 1;
+            else if (type === 4) {
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+                value += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+            }
+            out[dst + i] = value & 0xFF;
+        }
+    }
+    return out;
+}
+
+// Decode a stream's data through all its filters. Image-only filters
+// (DCT, JPX, CCITT, JBIG2) are not supported.
+export async function decodeStream(file, stream) {
+    const filter = get(file, stream.dict, 'Filter');
+    const parms = get(file, stream.dict, 'DecodeParms');
+    const filters = Array.isArray(filter) ? filter : filter ? [filter] : [];
+    const parmsList = Array.isArray(parms) ? parms : [parms];
+
+    let data = stream.data;
+    for (let i = 0; i < filters.length; i++) {
+        const name = resolve(file, filters[i]).name;
+        const p = resolve(file, parmsList[i]);
+        switch (name) {
+            case 'FlateDecode':
+            case 'Fl':
+                data = unpredict(await inflate(data), p);
+                break;
+            case 'LZWDecode':
+            case 'LZW':
+                data = unpredict(lzwDecode(data, p && p.has('EarlyChange') ? p.get('EarlyChange') : 1), p);
+                break;
+            case 'ASCIIHexDecode':
+            case 'AHx':
+                data = asciiHexDecode(data);
+                break;
+            case 'ASCII85Decode':
+            case 'A85':
+                data = ascii85Decode(data);
+                break;
+            case 'RunLengthDecode':
+            case 'RL':
+                data = runLengthDecode(data);
+                break;
+            default:
+                throw new Error(`Unsupported stream filter ${name}`);
+        }
+    }
+    return data;
+}
+
+// Cross-reference tables
+
+function readXrefTable(lexer, entries) {
+    for (;;) {
+        const token = nextToken(lexer);
+        if (!token) throw new Error('Truncated xref table');
+        if (token.value === 'trailer') return parseValue(lexer, nextToken(lexer), true);
+
+        const first = token.value;
+        const count = nextToken(lexer).value;
+        for (let i = 0; i < count; i++) {
+            const offset = nextToken(lexer).value;
+            nextToken(lexer); // generation
+            const type = nextToken(lexer).value;
+            if (type === 'n' && !entries.has(first + i)) entries.set(first + i, { offset });
+            else if (!entries.has(first + i)) entries.set(first + i, { free: true });
+        }
+    }
+}
+
+async function readXrefStream(file, bytes, offset, entries) {
+    const { value: stream } = parseIndirectObject(bytes, offset);
+    const dict = stream.dict;
+    const data = await decodeStream(file, stream);
+    const widths = dict.get('W');
+    const index = dict.get('Index') || [0, dict.get('Size')];
+    const entryLength = widths[0] + widths[1] + widths[2];
+
+    let pos = 0;
+    const field = (width, fallback) => {
+        if (width === 0) return fallback;
+        let value = 0;
+        for (let i = 0; i < width; i++) value = value * 256 + data[pos++];
+        return value;
+    };
+    for (let s = 0; s < index.length; s += 2) {
+        for (let i = 0; i < index[s + 1] && pos + entryLength <= data.length; i++) {
+            const num = index[s] + i;
+            const type = field(widths[0], 1);
+            const a = field(widths[1], 0);
+            const b = field(widths[2], 0);
+            if (entries.has(num)) continue;
+            if (type === 1) entries.set(num, { offset: a });
+            else if (type === 2) entries.set(num, { objStm: a, index: b });
+            else entries.set(num, { free: true });
+        }
+    }
+    return dict;
+}
+
+async function readXref(file, bytes, text) {
+    const startxref = text.lastIndexOf('startxref');
+    if (startxref === -1) throw new Error('No startxref');
+    let offset = parseInt(text.substring(startxref + 9, startxref + 40).trim());
+
+    const entries = new Map();
+    let trailer = null;
+    const seen = new Set();
+    while (Number.isInteger(offset) && !seen.has(offset)) {
+        seen.add(offset);
+        const lexer = { bytes, pos: offset };
+        skipWhitespace(lexer);
+
+        let dict;
+        if (text.startsWith('xref', lexer.pos)) {
+            lexer.pos += 4;
+            dict = readXrefTable(lexer, entries);
+            // Hybrid files keep newer objects in a cross-reference stream
+            if (Number.isInteger(dict.get('XRefStm'))) await readXrefStream(file, bytes, dict.get('XRefStm'), entries);
+        } else {
+            dict = await readXrefStream(file, bytes, offset, entries);
+        }
+        if (!trailer) trailer = dict;
+        offset = dict.get('Prev');
+    }
+    if (!trailer || !trailer.get('Root')) throw new Error('No trailer');
+    return { entries, trailer };
+}
+
+// Rebuild the table by scanning for "n g obj" when the xref is broken
+function scanObjects(bytes, text) {
+    const entries = new Map();
+    const objRegex = /(\d+)\s+(\d+)\s+obj\b/g;
+    let m;
+    while ((m = objRegex.exec(text)) !== null) {
+        if (m.index > 0 && !WHITESPACE.has(bytes[m.index - 1]) && !DELIMITERS.has(bytes[m.index - 1])) continue;
+        entries.set(parseInt(m[1]), { offset: m.index }); // later definitions win
+    }
+
+    let trailer = new Map();
+    const trailerIndex = text.lastIndexOf('trailer');
+    if (trailerIndex !== -1) {
+        const lexer = { bytes, pos: trailerIndex + 7 };
+        trailer = parseValue(lexer, nextToken(lexer), true);
+    }
+    return { entries, trailer };
+}
+
+// Resolve all references within a value (for small dictionaries only)
+function resolveDeep(file, value, depth = 0) {
+    value = resolve(file, value);
+    if (depth > 8) return value;
+    if (Array.isArray(value)) return value.map(v => resolveDeep(file, v, depth + 1));
+    if (value instanceof Map) return new Map([...value].map(([key, v]) => [key, resolveDeep(file, v, depth + 1)]));
+    return value;
+}
+
+// Read all objects of a PDF, decrypted with `password` if the file is
+// encrypted. Returns { objects: Map<num, value>, trailer, nextNum }.
+export async function readPdf(bytes, password = '') {
+    const text = bytesToText(bytes);
+    const file = { objects: new Map(), trailer: null, nextNum: 1 };
+
+    let table;
+    try {
+        table = await readXref(file, bytes, text);
+    } catch (err) {
+        table = scanObjects(bytes, text);
+    }
+    file.trailer = table.trailer;
+
+    const generations = new Map();
+    const loadDirect = (entries) => {
+        for (const [num, entry] of entries) {
+            if (entry.offset === undefined || file.objects.has(num)) continue;
+            try {
+                const obj = parseIndirectObject(bytes, entry.offset);
+                if (obj.num === num) {
+                    file.objects.set(num, obj.value);
+                    generations.set(num, obj.gen);
+                }
+            } catch (err) {
+                // Leave it out; a rescan below may still find it
+            }
+        }
+    };
+    loadDirect(table.entries);
+    if ([...table.entries.values()].some(e => e.offset !== undefined) &&
+        [...table.entries].some(([num, e]) => e.offset !== undefined && !file.objects.has(num))) {
+        loadDirect(scanObjects(bytes, text).entries);
+    }
+
+    // Strings and streams of encrypted files, except the /Encrypt dictionary
+    // itself. Objects in object streams are covered by their stream.
+    const encrypt = file.trailer.get('Encrypt');
+    if (encrypt) {
+        const id = resolveDeep(file, file.trailer.get('ID'));
+        const fileId = Array.isArray(id) && isString(id[0]) ? id[0].bytes : new Uint8Array(0);
+        const decryptor = await createDecryptor(resolveDeep(file, encrypt), fileId, password);
+        for (const [num, value] of file.objects) {
+            if (isRef(encrypt) && num === encrypt.num) continue;
+            file.objects.set(num, await decryptor.decryptObject(value, num, generations.get(num) || 0));
+        }
+        file.trailer.delete('Encrypt');
+    }
+
+    // Objects inside object streams
+    const byStream = new Map();
+    for (const [num, entry] of table.entries) {
+        if (entry.objStm === undefined || file.objects.has(num)) continue;
+        if (!byStream.has(entry.objStm)) byStream.set(entry.objStm, []);
+        byStream.get(entry.objStm).push(num);
+    }
+    for (const [streamNum, nums] of byStream) {
+        const stream = file.objects.get(streamNum);
+        if (!isStream(stream)) continue;
+        const data = await decodeStream(file, stream);
+        const first = stream.dict.get('First');
+        const lexer = { bytes: data, pos: 0 };
+        const offsets = new Map();
+        for (let i = 0; i < stream.dict.get('N'); i++) {
+            const num = nextToken(lexer).value;
+            offsets.set(num, nextToken(lexer).value);
+        }
+        for (const num of nums) {
+            if (!offsets.has(num)) continue;
+            const objLexer = { bytes: data, pos: first + offsets.get(num) };
+            file.objects.set(num, parseValue(objLexer, nextToken(objLexer), true));
+        }
+    }
+
+    file.nextNum = Math.max(0, ...file.objects.keys()) + 1;
+    return file;
+}
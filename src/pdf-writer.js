@@ -0,0 +1,165 @@
+// Minimal PDF writer
+//
+// Serializes an object graph in the shape pdf-parser.js reads. Only objects
+// reachable from the trailer are written, renumbered from 1, so anything
+// the redaction dropped is really gone from the file rather than left
+// behind as an unreferenced object.
+import { readPdf, addObject, concatBytes, isName, isRef, isStream, isString } from './pdf-parser.js';
+import { createEncryptor, PERMISSIONS } from './pdf-crypto.js';
+
+const REGULAR_NAME_CHAR = /[!-~]/;
+const NAME_ESCAPE = new Set([...'()<>[]{}/%#'].map(c => c.charCodeAt(0)));
+
+function formatNumber(n) {
+    if (!Number.isFinite(n)) return '0';
+    if (Number.isInteger(n)) return String(n);
+    const rounded = Math.round(n * 1e6) / 1e6;
+    if (rounded === 0) return '0';
+    return String(rounded).includes('e') ? rounded.toFixed(10).replace(/\.?0+$/, '') : String(rounded);
+}
+
+function formatName(name) {
+    let out = '/';
+    for (let i = 0; i < name.length; i++) {
+        const code = name.charCodeAt(i);
+        out += REGULAR_NAME_CHAR.test(name[i]) && !NAME_ESCAPE.has(code)
+            ? name[i]
+            : '#' + code.toString(16).padStart(2, '0');
+    }
+    return out;
+}
+
+function formatString(bytes) {
+    let hex = '<';
+    for (const b of bytes) hex += b.toString(16).padStart(2, '0');
+    return hex + '>';
+}
+
+// Serialize a value as a string of byte-sized characters. Stream data is
+// not included; `mapRef` can renumber references.
+export function serializeValue(value, mapRef = (ref) => ref) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'number') return formatNumber(value);
+    if (typeof value === 'boolean') return String(value);
+    if (Array.isArray(value)) return '[' + value.map(v => serializeValue(v, mapRef)).join(' ') + ']';
+    if (value instanceof Map) {
+        const entries = [...value].map(([key, v]) => `${formatName(key)} ${serializeValue(v, mapRef)}`);
+        return '<<' + entries.join(' ') + '>>';
+    }
+    if (isName(value)) return formatName(value.name);
+    if (isString(value)) return formatString(value.bytes);
+    if (isRef(value)) {
+        const ref = mapRef(value);
+        return ref ? `${ref.num} ${ref.gen} R` : 'null';
+    }
+    return 'null';
+}
+
+// A PDF text string: plain ASCII, otherwise UTF-16BE with a byte order mark
+export function textString(text) {
+    if (/^[\x20-\x7E]*$/.test(text)) return { bytes: textToBytes(text) };
+    const bytes = [0xFE, 0xFF];
+    for (let i = 0; i < text.length; i++) bytes.push(text.charCodeAt(i) >> 8, text.charCodeAt(i) & 0xFF);
+    return { bytes: new Uint8Array(bytes) };
+}
+
+export function textToBytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xFF;
+    return bytes;
+}
+
+// Serialize parsed content stream operations back to bytes
+export function serializeContent(ops) {
+    const parts = [];
+    for (const { op, operands, dict, data } of ops) {
+        if (op === 'BI') {
+            const entries = [...dict].map(([key, v]) => `${formatName(key)} ${serializeValue(v)}`);
+            parts.push(textToBytes(`BI ${entries.join(' ')} ID `), data, textToBytes('\nEI\n'));
+        } else {
+            const prefix = operands.map(v => serializeValue(v)).join(' ');
+            parts.push(textToBytes(prefix ? `${prefix} ${op}\n` : `${op}\n`));
+        }
+    }
+    return concatBytes(parts);
+}
+
+// Flate-compress bytes for a /FlateDecode stream
+export async function deflate(bytes) {
+    const compressed = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(compressed).arrayBuffer());
+}
+
+// Write a complete PDF file from `file.objects` and a trailer Map holding
+// /Root and optionally /Info, /Encrypt and /ID. Returns the bytes.
+export function writePdf(file, trailer) {
+    // Number reachable objects in discovery order
+    const numbering = new Map();
+    const order = [];
+    const visit = (value) => {
+        if (isRef(value)) {
+            if (numbering.has(value.num) || !file.objects.has(value.num)) return;
+            numbering.set(value.num, order.length + 1);
+            order.push(value.num);
+            visit(file.objects.get(value.num));
+        } else if (Array.isArray(value)) {
+            value.forEach(visit);
+        } else if (value instanceof Map) {
+            value.forEach(visit);
+        } else if (isStream(value)) {
+            visit(value.dict);
+        }
+    };
+    const kept = new Map([...trailer].filter(([key]) => ['Root', 'Info', 'Encrypt', 'ID'].includes(key)));
+    visit(kept);
+
+    const mapRef = (ref) => numbering.has(ref.num) ? { num: numbering.get(ref.num), gen: 0 } : null;
+    const parts = [textToBytes('%PDF-1.7\n%\xE2\xE3\xCF\xD3\n')];
+    let offset = parts[0].length;
+    const offsets = [];
+
+    for (const num of order) {
+        const value = file.objects.get(num);
+        const chunks = [];
+        if (isStream(value)) {
+            const dict = new Map(value.dict);
+            dict.set('Length', value.data.length);
+            chunks.push(textToBytes(`${numbering.get(num)} 0 obj\n${serializeValue(dict, mapRef)}\nstream\n`),
+                value.data, textToBytes('\nendstream\nendobj\n'));
+        } else {
+            chunks.push(textToBytes(`${numbering.get(num)} 0 obj\n${serializeValue(value, mapRef)}\nendobj\n`));
+        }
+        offsets.push(offset);
+        for (const chunk of chunks) {
+            parts.push(chunk);
+            offset += chunk.length;
+        }
+    }
+
+    let xref = `xref\n0 ${order.length + 1}\n0000000000 65535 f \n`;
+    for (const o of offsets) xref += `${String(o).padStart(10, '0')} 00000 n \n`;
+    kept.set('Size', order.length + 1);
+    xref += `trailer\n${serializeValue(kept, mapRef)}\nstartxref\n${offset}\n%%EOF\n`;
+    parts.push(textToBytes(xref));
+
+    return concatBytes(parts);
+}
+
+// Rewrite a PDF as it is handed out: `info` (e.g. { Title }) becomes its
+// document info, leaving out empty values and whatever creator and producer
+// the file came with. With a `password` the file is encrypted, opening with
+// that password and restricted to `permissions`.
+export async function finalizePdf(bytes, { info = {}, password = '', permissions = PERMISSIONS.PRINT_ONLY } = {}) {
+    const file = await readPdf(bytes);
+    const dict = new Map(Object.entries(info).filter(([, value]) => value).map(([key, value]) => [key, textString(value)]));
+    const trailer = new Map([['Root', file.trailer.get('Root')]]);
+    if (dict.size > 0) trailer.set('Info', addObject(file, dict));
+
+    if (password) {
+        const encryptor = await createEncryptor(password, permissions);
+        for (const [num, value] of file.objects) file.objects.set(num, await encryptor.encryptObject(value));
+        trailer.set('Encrypt', addObject(file, encryptor.dict));
+        trailer.set('ID', [{ bytes: encryptor.id }, { bytes: encryptor.id }]);
+    }
+    return writePdf(file, trailer);
+}
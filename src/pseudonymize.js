@@ -0,0 +1,222 @@
+// Consistent pseudonymization of the document text
+//
+// Rebuilds the text in reading order from the page blocks (top to bottom,
+// then left to right; see readingOrder) and replaces every included match with a placeholder such as [PERSON-1] or [BSN-2]. The same
+// value always gets the same placeholder within a document. The mapping from
+// placeholder back to value is returned separately so it can be kept apart
+// from (or without) the pseudonymized text.
+//
+// Dates can be generalized instead of replaced: reduced to the year, or
+// shifted by a secret number of days (see dates.js).
+import { bboxesOverlap } from './text-layer.js';
+import { isPattern } from './patterns.js';
+import { labelOfTerm } from './terms.js';
+import { parseDate, generalizeDate } from './dates.js';
+
+// Placeholder category per built-in pattern; plain terms are treated as names
+const PATTERN_CATEGORIES = {
+    '<bsn>': 'BSN',
+    '<email>': 'EMAIL',
+    '<phone>': 'PHONE',
+    '<iban>': 'IBAN',
+    '<creditcard>': 'CARD',
+    '<kvk>': 'KVK',
+    '<vat>': 'VAT',
+    '<plate>': 'PLATE',
+    '<passport>': 'DOCUMENT',
+    '<big>': 'BIG',
+    '<date>': 'DATE',
+    '<postcode>': 'POSTCODE',
+    '<address>': 'ADDRESS',
+    '<name>': 'PERSON'
+};
+
+export function categoryForTerm(term) {
+    if (PATTERN_CATEGORIES[term]) return PATTERN_CATEGORIES[term];
+    // Custom patterns are named after themselves, e.g. <casenr> → CASENR
+    if (isPattern(term)) return term.slice(1, -1).toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+    // Label rules are named after their label, e.g. "Adres: <value>" → ADRES
+    const label = labelOfTerm(term);
+    if (label) {
+        const name = label.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+        if (name) return name;
+    }
+    return 'PERSON';
+}
+
+// Values that differ only in case, spacing or separators are the same value
+function normalizeValue(category, value) {
+    const v = value.trim().toLowerCase().replace(/\s+/g, ' ');
+    return ['BSN', 'PHONE', 'IBAN', 'POSTCODE', 'CARD', 'VAT', 'PLATE'].includes(category)
+        ? v.replace(/[\s.-]/g, '')
+        : v;
+}
+
+// Locate a match in its page's blocks. Matches from the scan carry their
+// block and offset; older ones (e.g. from a session) are found by text.
+function locateMatch(blocks, match) {
+    const block = blocks[match.blockIndex];
+    if (block && block.text.substr(match.charIndex, match.text.length) === match.text) {
+        return { blockIndex: match.blockIndex, start: match.charIndex };
+    }
+    for (let i = 0; i < blocks.length; i++) {
+        if (!bboxesOverlap(blocks[i].bbox, match.bbox)) continue;
+        const start = blocks[i].text.indexOf(match.text);
+        if (start !== -1) return { blockIndex: i, start };
+    }
+    return null;
+}
+
+// Character ranges of a block covered by a manual box (whole words)
+function manualRanges(block, boxes) {
+    const ranges = [];
+    if (!block.words) return ranges;
+
+    let pos = 0;
+    for (const word of block.words) {
+        const start = block.text.indexOf(word.text, pos);
+        if (start === -1) continue;
+        pos = start + word.text.length;
+        if (boxes.some(box => bboxesOverlap(box, word.bbox))) {
+            ranges.push({ start, end: pos });
+        }
+    }
+    return ranges;
+}
+
+// Block indices of a page in reading order: top to bottom, and left to
+// right for blocks on the same line. Text-layer blocks come in content
+// stream order and OCR'd image regions are appended, so the extraction
+// order says little about where a block is on the page.
+function readingOrder(blocks) {
+    const byTop = blocks.map((_, i) => i).sort((a, b) => blocks[a].bbox[1] - blocks[b].bbox[1]);
+    const rows = [];
+    for (const i of byTop) {
+        const [, top, , bottom] = blocks[i].bbox;
+        const row = rows[rows.length - 1];
+        // Same line when it starts within half the row's line height
+        if (row && top - row.top < row.height / 2) {
+            row.indices.push(i);
+        } else {
+            rows.push({ top, height: bottom - top, indices: [i] });
+        }
+    }
+    return rows.flatMap(row => row.indices.sort((a, b) => blocks[a].bbox[0] - blocks[b].bbox[0]));
+}
+
+// Build the pseudonymized document. Placeholders are numbered in reading
+// order, so [PERSON-1] is the first person in the text.
+//   pages: Map<pageNum, blocks[]>, redactions: the included matches
+//   options.dateMode: 'placeholder' (default), 'year' or 'shift'
+//   options.dateShiftDays: offset for 'shift'
+// Returns { pages: [{ page, lines: [{ text, tokens }] }], key: [...] }
+export function pseudonymizeDocument(pages, redactions, numPages, { dateMode = 'placeholder', dateShiftDays = 0 } = {}) {
+    const placeholders = new Map(); // category + normalized value → entry
+    const counters = {};
+
+    const placeholderFor = (category, value) => {
+        const id = `${category}:${normalizeValue(category, value)}`;
+        if (!placeholders.has(id)) {
+            counters[category] = (counters[category] || 0) + 1;
+            placeholders.set(id, {
+                placeholder: `[${category}-${counters[category]}]`,
+                category,
+                value,
+                occurrences: 0
+            });
+        }
+        const entry = placeholders.get(id);
+        entry.occurrences++;
+        return entry;
+    };
+
+    const outputPages = [];
+    for (let pageNum = 0; pageNum < numPages; pageNum++) {
+        const blocks = pages.get(pageNum) || [];
+        const pageRedactions = redactions.filter(m => m.pageNum === pageNum);
+        const boxes = pageRedactions.filter(m => m.isManual).map(m => m.bbox);
+
+        // Spans to replace, per block
+        const spans = blocks.map(() => []);
+        for (const match of pageRedactions) {
+            if (match.isManual) continue;
+            if (match.fragments) {
+                // A match over several lines: the placeholder goes where it
+                // starts, the rest of it is removed from the following lines
+                match.fragments.forEach((f, k) => {
+                    if (!spans[f.blockIndex]) return;
+                    spans[f.blockIndex].push({
+                        start: f.charIndex,
+                        end: f.charIndex + f.length,
+                        category: categoryForTerm(match.term),
+                        value: match.variant ? match.term : match.text,
+                        continuation: k > 0
+                    });
+                });
+                continue;
+            }
+            const loc = locateMatch(blocks, match);
+            if (!loc) continue;
+            spans[loc.blockIndex].push({
+                start: loc.start,
+                end: loc.start + match.text.length,
+                category: categoryForTerm(match.term),
+                // All variants of a name get the placeholder of the name itself
+                value: match.variant ? match.term : match.text
+            });
+        }
+        blocks.forEach((block, i) => {
+            for (const range of manualRanges(block, boxes)) {
+                spans[i].push({ ...range, category: 'REDACTED', value: null });
+            }
+        });
+
+        const lines = readingOrder(blocks).map(i => {
+            const block = blocks[i];
+            // Earliest first, longest first; drop spans overlapping a kept one
+            const sorted = spans[i].sort((a, b) => a.start - b.start || b.end - a.end);
+            const tokens = [];
+            let text = '';
+            let pos = 0;
+            const pushText = (segment) => {
+                text += segment;
+                for (const word of segment.split(/\s+/).filter(Boolean)) tokens.push({ text: word });
+            };
+
+            for (const span of sorted) {
+                if (span.start < pos) continue;
+                pushText(block.text.substring(pos, span.start));
+                pos = span.end;
+                if (span.continuation) continue;
+                let token = { text: '[REDACTED]', placeholder: true, category: 'REDACTED' };
+                // Dates (from <date> or e.g. a "Geboortedatum: <value>" rule) are
+                // generalized rather than replaced, and left out of the key
+                const generalized = dateMode !== 'placeholder' && span.value !== null &&
+                    (span.category === 'DATE' || parseDate(span.value))
+                    ? generalizeDate(span.value, dateMode, dateShiftDays)
+                    : null;
+                if (generalized) {
+                    token = { text: generalized, generalized: true, category: 'DATE' };
+                } else if (span.value !== null) {
+                    const entry = placeholderFor(span.category, span.value);
+                    token = { text: entry.placeholder, placeholder: true, category: entry.category };
+                }
+                text += token.text;
+                tokens.push(token);
+            }
+            pushText(block.text.substring(pos));
+
+            return { text, tokens };
+        });
+
+        outputPages.push({ page: pageNum + 1, lines });
+    }
+
+    return { pages: outputPages, key: [...placeholders.values()] };
+}
+
+export function pseudonymizedToText(result) {
+    return result.pages
+        .map(page => `--- Page ${page.page} ---\n` + page.lines.map(l => l.text).join('\n'))
+        .join('\n\n') + '\n';
+}
@@ -0,0 +1,92 @@
+// Redaction session files
+//
+// A session captures everything needed to resume a review without
+// re-running OCR: the terms, all matches (including manual boxes and their
+// include/exclude state), the counts per exclusion rule and the cached text
+// blocks per page. It is tied to
+// the source PDF by a SHA-256 hash of its bytes.
+
+export const SESSION_FORMAT = 'pdf-anonymizer-session';
+export const SESSION_VERSION = 1;
+
+// SHA-256 of a byte array as lowercase hex
+export async function hashBytes(bytes) {
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)]
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+// Serialize the current review state to a JSON string
+export function createSession({ fileName, fileHash, terms, matches, suppressedCounts, ocrCache }) {
+    return JSON.stringify({
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        savedAt: new Date().toISOString(),
+        fileName,
+        fileHash,
+        terms,
+        matches,
+        suppressed: [...suppressedCounts.entries()],
+        ocr: [...ocrCache.entries()].map(([pageNum, blocks]) => ({ pageNum, blocks }))
+    });
+}
+
+// Parse and validate a session file against the loaded PDF's hash and page
+// count. Throws with a user-facing message when the file can't be used.
+export function parseSession(json, fileHash, numPages) {
+    let session;
+    try {
+        session = JSON.parse(json);
+    } catch (e) {
+        throw new Error('Session file is not valid JSON');
+    }
+
+    if (!session || session.format !== SESSION_FORMAT) {
+        throw new Error('Not a PDF Anonymizer session file');
+    }
+    if (session.version > SESSION_VERSION) {
+        throw new Error(`Session was saved by a newer version (format ${session.version})`);
+    }
+    if (session.fileHash !== fileHash) {
+        throw new Error(`Session belongs to a different PDF ("${session.fileName}"); the file hash does not match`);
+    }
+    if (!Array.isArray(session.matches) || !Array.isArray(session.ocr)) {
+        throw new Error('Session file is incomplete');
+    }
+    const onPage = (pageNum) => Number.isInteger(pageNum) && pageNum >= 0 && pageNum < numPages;
+    if (!session.matches.every(m => isValidMatch(m) && onPage(m.pageNum)) ||
+        !session.ocr.every(page => page && onPage(page.pageNum) && Array.isArray(page.blocks) && page.blocks.every(isValidBlock))) {
+        throw new Error('Session file is damaged: matches or text blocks are malformed');
+    }
+    // Sessions saved before the counts were added have none
+    const suppressed = Array.isArray(session.suppressed) ? session.suppressed : [];
+    if (!suppressed.every(e => Array.isArray(e) && typeof e[0] === 'string' && Number.isInteger(e[1]))) {
+        throw new Error('Session file is damaged: exclusion rule counts are malformed');
+    }
+
+    return {
+        fileName: session.fileName,
+        terms: typeof session.terms === 'string' ? session.terms : '',
+        matches: session.matches,
+        suppressedCounts: new Map(suppressed),
+        ocrCache: new Map(session.ocr.map(({ pageNum, blocks }) => [pageNum, blocks]))
+    };
+}
+
+function isValidBbox(bbox) {
+    return Array.isArray(bbox) && bbox.length === 4 && bbox.every(Number.isFinite);
+}
+
+function isValidMatch(match) {
+    return match !== null && typeof match === 'object' &&
+        typeof match.text === 'string' && isValidBbox(match.bbox) &&
+        (match.fragments === undefined || (Array.isArray(match.fragments) && match.fragments.every(f => f && isValidBbox(f.bbox)))) &&
+        (match.ground === undefined || match.ground === null || typeof match.ground === 'string');
+}
+
+function isValidBlock(block) {
+    return block !== null && typeof block === 'object' &&
+        typeof block.text === 'string' && isValidBbox(block.bbox) &&
+        Array.isArray(block.words) && block.words.every(w => w && typeof w.text === 'string' && isValidBbox(w.bbox));
+}
@@ -0,0 +1,86 @@
+// Named, reusable term lists stored in the browser (localStorage)
+//
+// A list keeps its terms in parsed form (see terms.js), so per-term options
+// such as case sensitivity and whole-word matching travel with the list.
+import { parseTerms, formatTermLine } from './terms.js';
+
+const STORAGE_KEY = 'pdf-anonymizer.term-lists';
+export const TERM_LISTS_FORMAT = 'pdf-anonymizer-term-lists';
+
+export function loadTermLists() {
+    try {
+        const lists = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(lists) ? lists.map(validList).filter(Boolean) : [];
+    } catch (e) {
+        console.warn('Ignoring unreadable term lists in storage', e);
+        return [];
+    }
+}
+
+const optional = (value, type) => value === undefined || value === null || typeof value === type;
+
+// A parsed term as terms.js produces it: a string term, boolean options, a
+// fuzzy distance and an optional ground code and label
+function isValidTerm(t) {
+    return t !== null && typeof t === 'object' &&
+        typeof t.term === 'string' && t.term.trim() !== '' &&
+        ['caseSensitive', 'wholeWord', 'variants', 'fold', 'exclude'].every(key => optional(t[key], 'boolean')) &&
+        (optional(t.fuzzy, 'number') && (!t.fuzzy || (Number.isInteger(t.fuzzy) && t.fuzzy > 0 && t.fuzzy <= 9))) &&
+        optional(t.ground, 'string') && optional(t.label, 'string');
+}
+
+// The list with its malformed terms dropped, or null if it is no list at all
+function validList(l) {
+    if (!l || typeof l.name !== 'string' || !Array.isArray(l.terms)) return null;
+    return { ...l, terms: l.terms.filter(isValidTerm) };
+}
+
+function storeTermLists(lists) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(lists));
+}
+
+// Create or replace the list called `name` from terms input text
+export function saveTermList(name, text) {
+    const lists = loadTermLists().filter(l => l.name !== name);
+    const list = { name, terms: parseTerms(text), updatedAt: new Date().toISOString() };
+    lists.push(list);
+    lists.sort((a, b) => a.name.localeCompare(b.name));
+    storeTermLists(lists);
+    return list;
+}
+
+export function deleteTermList(name) {
+    storeTermLists(loadTermLists().filter(l => l.name !== name));
+}
+
+// Terms input text for a stored list
+export function termListToText(list) {
+    return list.terms.map(formatTermLine).join('\n');
+}
+
+export function exportTermLists(names) {
+    const lists = loadTermLists().filter(l => names.includes(l.name));
+    return JSON.stringify({ format: TERM_LISTS_FORMAT, version: 1, lists }, null, 2);
+}
+
+// Import lists from an export file; lists with the same name are replaced.
+// Returns the imported list names.
+export function importTermLists(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (e) {
+        throw new Error('Term list file is not valid JSON');
+    }
+    if (!data || data.format !== TERM_LISTS_FORMAT || !Array.isArray(data.lists)) {
+        throw new Error('Not a PDF Anonymizer term list file');
+    }
+
+    // Malformed terms would break every later scan, so they are dropped here
+    const imported = data.lists.map(validList).filter(Boolean);
+    const names = new Set(imported.map(l => l.name));
+    const lists = loadTermLists().filter(l => !names.has(l.name)).concat(imported);
+    lists.sort((a, b) => a.name.localeCompare(b.name));
+    storeTermLists(lists);
+    return [...names];
+}
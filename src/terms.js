@@ -0,0 +1,114 @@
+// Term line parsing
+//
+// Each non-empty line of the terms input is a regex, a plain string or a
+// <pattern>, optionally followed by option flags and a legal-ground code:
+//
+//   Jan Jansen #5.1.2e
+//   <bsn> #5.1.1e
+//   Jan /cw #5.1.2e
+//   Jan van der Berg /v
+//   Jansen /f2
+//   Naam: <value> #5.1.2e
+//
+// Flags: c = case-sensitive, w = whole word only, v = also match name
+// variants (see name-variants.js), f = fuzzy match for OCR errors with an
+// optional edit distance, default 1 (see fuzzy.js), a = ignore accents and
+// ligatures, Müller = Muller (see normalize.js)
+//
+// A term ending in <value> is a label rule: the label is not redacted but
+// the value next to or below it is (see findLabelValues in matcher.js).
+//
+// A line starting with ! is an exclusion rule: matches of the other terms
+// that it covers are suppressed, e.g. !info@ourfirm.nl or !<phone>.
+import { normalizeText } from './normalize.js';
+
+// ` #code` at the end of a line; codes are things like 5.1.2e, 5.2, art.9.
+// Anything else after a # (Factuur #2023-001) is part of the term.
+const GROUND_SUFFIX = /\s+#(\d+(?:\.\d+)+[a-z]?|art\.\d+[a-z]?)\s*$/i;
+
+// `Label: <value>`
+const LABEL_RULE = /^(.*\S)\s*<value>$/;
+
+// ` /flags` at the end of a line (before any ground code). A tail with other
+// letters (foo /bar, 12 /ab) is part of the term.
+const FLAGS_SUFFIX = /\s+\/((?:[cwva]|f\d?)+)\s*$/;
+
+export const DEFAULT_TERM_OPTIONS = {
+    caseSensitive: false,
+    wholeWord: false,
+    variants: false,
+    fuzzy: 0, // maximum edit distance, 0 = exact
+    fold: false
+};
+
+export function parseTermLine(line, defaultGround = null) {
+    // Normalized like the extracted text, so a ligature or decomposed accent
+    // in a term still matches
+    let term = normalizeText(line.trim());
+    let ground = defaultGround;
+    const options = { ...DEFAULT_TERM_OPTIONS };
+
+    const exclude = term.startsWith('!');
+    if (exclude) term = term.substring(1).trim();
+
+    const g = term.match(GROUND_SUFFIX);
+    if (g) {
+        term = term.substring(0, g.index).trim();
+        ground = g[1];
+    }
+
+    const f = term.match(FLAGS_SUFFIX);
+    if (f) {
+        term = term.substring(0, f.index).trim();
+        options.caseSensitive = f[1].includes('c');
+        options.wholeWord = f[1].includes('w');
+        options.variants = f[1].includes('v');
+        const fuzzy = f[1].match(/f(\d?)/);
+        // /f0 is exact matching
+        if (fuzzy) options.fuzzy = parseInt(fuzzy[1] || '1');
+        options.fold = f[1].includes('a');
+    }
+
+    const parsed = { term, ground, ...options };
+    if (exclude) {
+        parsed.exclude = true;
+        parsed.ground = null;
+        return parsed;
+    }
+    const label = labelOfTerm(term);
+    if (label) parsed.label = label;
+    return parsed;
+}
+
+// The label of a label rule term ("Naam:" for "Naam: <value>"), or null
+export function labelOfTerm(term) {
+    const m = term.match(LABEL_RULE);
+    return m ? m[1] : null;
+}
+
+export function parseTerms(text, defaultGround = null) {
+    return text
+        .split('\n')
+        .map(line => parseTermLine(line, defaultGround))
+        .filter(t => t.term);
+}
+
+// Inverse of parseTermLine
+export function formatTermLine(t) {
+    const flags = (t.caseSensitive ? 'c' : '') + (t.wholeWord ? 'w' : '') + (t.variants ? 'v' : '')
+        + (t.fold ? 'a' : '') + (t.fuzzy ? 'f' + (t.fuzzy > 1 ? t.fuzzy : '') : '');
+    return (t.exclude ? '!' : '') + t.term + (flags ? ` /${flags}` : '') + (t.ground ? ` #${t.ground}` : '');
+}
+
+// Merge term lists, dropping exact duplicates (same term and options)
+export function combineTerms(...lists) {
+    const seen = new Set();
+    const combined = [];
+    for (const t of lists.flat()) {
+        const key = formatTermLine(t);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        combined.push(t);
+    }
+    return combined;
+}
@@ -0,0 +1,237 @@
+// Native text layer extraction
+//
+// Builds the same LINE-level blocks with embedded WORD bboxes that the OCR
+// path produces, but from the PDF's own text content. All bboxes are in PDF
+// coordinates at scale 1 with a top-left origin, i.e. the same space as
+// `pageImages[n].bounds`.
+import { OPS, Util } from 'pdfjs-dist';
+import { normalizeText } from './normalize.js';
+
+// Images smaller than this (in PDF points) are logos/bullets, not worth OCR
+const MIN_IMAGE_REGION_SIZE = 36;
+
+// Shared canvas context for glyph width measurement
+let measureCtx = null;
+
+function getMeasureContext() {
+    if (!measureCtx) {
+        measureCtx = document.createElement('canvas').getContext('2d');
+    }
+    return measureCtx;
+}
+
+// Cumulative advance of each character in `text`, normalized so the last
+// entry equals `totalWidth`. Falls back to uniform widths when the font
+// cannot be measured.
+function measureCharOffsets(text, fontFamily, totalWidth) {
+    const offsets = [0];
+    const ctx = getMeasureContext();
+    ctx.font = `100px ${fontFamily || 'sans-serif'}`;
+
+    const fullWidth = ctx.measureText(text).width;
+    if (!fullWidth) {
+        for (let i = 1; i <= text.length; i++) {
+            offsets.push((i / text.length) * totalWidth);
+        }
+        return offsets;
+    }
+
+    for (let i = 1; i <= text.length; i++) {
+        offsets.push((ctx.measureText(text.substring(0, i)).width / fullWidth) * totalWidth);
+    }
+    return offsets;
+}
+
+// Axis-aligned viewport bbox of a run of glyphs along an item's baseline
+function glyphRunBbox(item, style, viewport, startOffset, endOffset) {
+    const [a, b, c, d, e, f] = item.transform;
+    const fontSize = Math.hypot(c, d) || Math.hypot(a, b) || 1;
+    const dirLen = Math.hypot(a, b) || 1;
+    const upLen = Math.hypot(c, d) || 1;
+    const dir = [a / dirLen, b / dirLen];
+    const up = [c / upLen, d / upLen];
+
+    const ascent = style && style.ascent ? style.ascent : 0.8;
+    const descent = style && style.descent ? style.descent : -0.2;
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const along of [startOffset, endOffset]) {
+        for (const rise of [descent * fontSize, ascent * fontSize]) {
+            const px = e + dir[0] * along + up[0] * rise;
+            const py = f + dir[1] * along + up[1] * rise;
+            const [vx, vy] = Util.applyTransform([px, py], viewport.transform);
+            minX = Math.min(minX, vx);
+            minY = Math.min(minY, vy);
+            maxX = Math.max(maxX, vx);
+            maxY = Math.max(maxY, vy);
+        }
+    }
+    return [minX, minY, maxX, maxY];
+}
+
+function unionBbox(a, b) {
+    return [
+        Math.min(a[0], b[0]),
+        Math.min(a[1], b[1]),
+        Math.max(a[2], b[2]),
+        Math.max(a[3], b[3])
+    ];
+}
+
+export function bboxesOverlap(a, b) {
+    return a[0] < b[2] && b[0] < a[2] && a[1] < b[3] && b[1] < a[3];
+}
+
+// Does `item` continue the line that currently ends with `prev`?
+function continuesLine(prev, item) {
+    if (!prev || prev.hasEOL) return false;
+    const [, , , , pe, pf] = prev.transform;
+    const [, , c, d, e, f] = item.transform;
+    const fontSize = Math.hypot(c, d) || 1;
+    // Same baseline and moving forward (allow small overlap from kerning)
+    return Math.abs(f - pf) < fontSize * 0.5 && e >= pe - fontSize * 0.5;
+}
+
+// Extract text blocks from a pdf.js page.
+// Returns line blocks in the same shape as ocrPageWithWorker:
+// { text, bbox, type: 'text', confidence, words: [{ text, bbox }] }
+export async function extractTextBlocks(page) {
+    const viewport = page.getViewport({ scale: 1 });
+    const content = await page.getTextContent();
+
+    // Group items into lines
+    const lines = [];
+    let currentLine = null;
+    let prevItem = null;
+    for (const item of content.items) {
+        if (typeof item.str !== 'string') continue; // marked content
+
+        if (item.str.length > 0) {
+            if (!currentLine || !continuesLine(prevItem, item)) {
+                currentLine = [];
+                lines.push(currentLine);
+            }
+            currentLine.push(item);
+            prevItem = item;
+        }
+        if (item.hasEOL) {
+            currentLine = null;
+            prevItem = null;
+        }
+    }
+
+    const blocks = [];
+    for (const lineItems of lines) {
+        const words = [];
+        let openWord = null; // word that may continue into the next item
+
+        for (const item of lineItems) {
+            const style = content.styles[item.fontName];
+            const offsets = measureCharOffsets(item.str, style && style.fontFamily, item.width);
+            const fontSize = Math.hypot(item.transform[2], item.transform[3]) || 1;
+
+            // Items that abut the previous one without a gap continue its word
+            if (openWord && !/^\s/.test(item.str)) {
+                const gap = item.transform[4] - openWord.endX;
+                if (gap > fontSize * 0.15) openWord = null;
+            } else {
+                openWord = null;
+            }
+
+            const wordRegex = /\S+/g;
+            let m;
+            while ((m = wordRegex.exec(item.str)) !== null) {
+                const bbox = glyphRunBbox(item, style, viewport,
+                    offsets[m.index], offsets[m.index + m[0].length]);
+                const touchesEnd = m.index + m[0].length === item.str.length;
+
+                if (m.index === 0 && openWord) {
+                    openWord.text += m[0];
+                    openWord.bbox = unionBbox(openWord.bbox, bbox);
+                } else {
+                    openWord = { text: m[0], bbox };
+                    words.push(openWord);
+                }
+
+                if (!touchesEnd) openWord = null;
+            }
+
+            if (openWord) {
+                openWord.endX = item.transform[4] + item.width;
+            }
+        }
+
+        if (words.length === 0) continue;
+
+        let bbox = words[0].bbox;
+        for (const word of words) bbox = unionBbox(bbox, word.bbox);
+
+        // NFKC turns ligatures like "ﬁ" into the letters they stand for
+        const wordTexts = words.map(w => normalizeText(w.text));
+        blocks.push({
+            text: wordTexts.join(' '),
+            bbox,
+            type: 'text',
+            confidence: 100,
+            words: words.map((w, i) => ({ text: wordTexts[i], bbox: w.bbox }))
+        });
+    }
+
+    return blocks;
+}
+
+// Find regions of the page covered by images (e.g. a scanned letterhead
+// pasted into a born-digital PDF). Returned bboxes use the same space as
+// extractTextBlocks.
+export async function findImageRegions(page) {
+    const viewport = page.getViewport({ scale: 1 });
+    const opList = await page.getOperatorList();
+
+    const regions = [];
+    const stack = [];
+    let ctm = [1, 0, 0, 1, 0, 0];
+
+    for (let i = 0; i < opList.fnArray.length; i++) {
+        const fn = opList.fnArray[i];
+        const args = opList.argsArray[i];
+
+        switch (fn) {
+            case OPS.save:
+                stack.push(ctm);
+                break;
+            case OPS.restore:
+                ctm = stack.pop() || [1, 0, 0, 1, 0, 0];
+                break;
+            case OPS.transform:
+                ctm = Util.transform(ctm, args);
+                break;
+            case OPS.paintFormXObjectBegin:
+                stack.push(ctm);
+                if (args[0]) ctm = Util.transform(ctm, args[0]);
+                break;
+            case OPS.paintFormXObjectEnd:
+                ctm = stack.pop() || [1, 0, 0, 1, 0, 0];
+                break;
+            case OPS.paintImageXObject:
+            case OPS.paintInlineImageXObject:
+            case OPS.paintImageMaskXObject: {
+                // Images are painted into the unit square of the current CTM
+                const toViewport = Util.transform(viewport.transform, ctm);
+                const [x0, y0, x1, y1] = Util.getAxialAlignedBoundingBox([0, 0, 1, 1], toViewport);
+                const bbox = [
+                    Math.max(0, x0),
+                    Math.max(0, y0),
+                    Math.min(viewport.width, x1),
+                    Math.min(viewport.height, y1)
+                ];
+                if (bbox[2] - bbox[0] >= MIN_IMAGE_REGION_SIZE &&
+                    bbox[3] - bbox[1] >= MIN_IMAGE_REGION_SIZE) {
+                    regions.push(bbox);
+                }
+                break;
+            }
+        }
+    }
+
+    return regions;
+}
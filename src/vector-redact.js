@@ -0,0 +1,1020 @@
+// Vector redaction for born-digital PDFs
+//
+// Instead of rasterizing every page, the content streams of the original
+// file are rewritten. On each page with redactions, the glyphs, vector
+// subpaths and images under a redaction box are removed from the content and
+// a black box is drawn on top; everything else stays vector. Images under a
+// box are replaced by a rasterized copy with the box burned in. A page whose
+// content cannot be rewritten safely (unknown font metrics, inline images
+// under a box, ...) is rasterized as a whole, like the image-only output.
+//
+// The result is written as a new file holding only the objects still in
+// use, so removed text does not survive as unreferenced objects. Tagged-PDF
+// structure, XMP metadata, the document info and page thumbnails are
+// dropped, as they can repeat the redacted text. Scripts and embedded files
+// are dropped as well.
+import * as pdfjsLib from 'pdfjs-dist';
+import { readPdf, parseContent, decodeStream, concatBytes, bytesToText, resolve, get, addObject, isName, isRef, isStream, isString } from './pdf-parser.js';
+import { writePdf, serializeContent, deflate, textToBytes } from './pdf-writer.js';
+import { STANDARD_WIDTHS, ENCODINGS } from './font-metrics.js';
+import { OUTPUT_PRESETS, presetScale } from './output-presets.js';
+import { matchBoxes } from './matcher.js';
+import { fitGroundLabel } from './legal-grounds.js';
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// Share of a glyph's box a redaction must cover to remove the glyph. Match
+// boxes come from measured text and may be a little off at the edges.
+const GLYPH_COVERAGE = 0.1;
+
+// Forms nested deeper than this are rasterized rather than followed
+const MAX_FORM_DEPTH = 12;
+
+// Longest side of a rasterized image, in pixels
+const MAX_IMAGE_SIZE = 4000;
+
+const PAINT_OPS = new Set(['S', 's', 'f', 'F', 'f*', 'B', 'B*', 'b', 'b*', 'n']);
+const STROKE_OPS = new Set(['S', 's', 'B', 'B*', 'b', 'b*']);
+
+// Content this module cannot rewrite safely; the page is rasterized instead
+function unsupported(reason) {
+    const err = new Error(reason);
+    err.unsupported = true;
+    return err;
+}
+
+// Matrices [a b c d e f], applied to row vectors as in the PDF spec
+
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[1] * n[2], m[0] * n[1] + m[1] * n[3],
+        m[2] * n[0] + m[3] * n[2], m[2] * n[1] + m[3] * n[3],
+        m[4] * n[0] + m[5] * n[2] + n[4], m[4] * n[1] + m[5] * n[3] + n[5]
+    ];
+}
+
+function applyMatrix(m, x, y) {
+    return [x * m[0] + y * m[2] + m[4], x * m[1] + y * m[3] + m[5]];
+}
+
+function invert(m) {
+    const det = m[0] * m[3] - m[1] * m[2];
+    if (!det) return null;
+    return [m[3] / det, -m[1] / det, -m[2] / det, m[0] / det,
+        (m[2] * m[5] - m[3] * m[4]) / det, (m[1] * m[4] - m[0] * m[5]) / det];
+}
+
+// Axis-aligned bounds of a box [x0 y0 x1 y1] after a transform
+function transformBox(m, box) {
+    const points = [
+        applyMatrix(m, box[0], box[1]), applyMatrix(m, box[2], box[1]),
+        applyMatrix(m, box[0], box[3]), applyMatrix(m, box[2], box[3])
+    ];
+    return pointsBox(points);
+}
+
+function pointsBox(points) {
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+function overlapArea(a, b) {
+    return Math.max(0, Math.min(a[2], b[2]) - Math.max(a[0], b[0])) *
+        Math.max(0, Math.min(a[3], b[3]) - Math.max(a[1], b[1]));
+}
+
+const intersects = (a, b) => overlapArea(a, b) > 0;
+const contains = (outer, inner) =>
+    outer[0] <= inner[0] && outer[1] <= inner[1] && outer[2] >= inner[2] && outer[3] >= inner[3];
+
+// Fonts
+
+// Non-embedded fonts without /Widths that map onto the standard 14
+function standardWidths(baseFont) {
+    const name = baseFont.replace(/^[A-Z]{6}\+/, '');
+    const bold = /bold|black|heavy/i.test(name);
+    const italic = /italic|oblique/i.test(name);
+    if (/courier/i.test(name)) return 'monospace';
+    if (/times/i.test(name)) {
+        return STANDARD_WIDTHS[bold && italic ? 'Times-BoldItalic' : bold ? 'Times-Bold' : italic ? 'Times-Italic' : 'Times-Roman'];
+    }
+    if (/helvetica|arial/i.test(name)) return STANDARD_WIDTHS[bold ? 'Helvetica-Bold' : 'Helvetica'];
+    return null;
+}
+
+// Glyph name per code for a simple font: base encoding plus /Differences
+function simpleEncoding(file, fontDict, symbolic) {
+    const encoding = get(file, fontDict, 'Encoding');
+    const baseName = isName(encoding) ? encoding.name
+        : encoding instanceof Map && isName(encoding.get('BaseEncoding')) ? encoding.get('BaseEncoding').name
+            : null;
+    const names = [...(ENCODINGS[baseName] || (symbolic ? ENCODINGS.StandardEncoding : ENCODINGS.WinAnsiEncoding))];
+
+    const differences = encoding instanceof Map ? get(file, encoding, 'Differences') : null;
+    let code = 0;
+    for (const item of differences || []) {
+        const value = resolve(file, item);
+        if (typeof value === 'number') code = value;
+        else if (isName(value)) names[code++] = value.name;
+    }
+    return names;
+}
+
+function fontExtent(file, descriptor) {
+    const ascent = get(file, descriptor, 'Ascent');
+    const descent = get(file, descriptor, 'Descent');
+    // Generous bounds: descriptors often give 0 or the x-height
+    return {
+        ascent: Math.max(typeof ascent === 'number' ? ascent / 1000 : 0, 0.75),
+        descent: Math.min(typeof descent === 'number' ? descent / 1000 : 0, -0.2)
+    };
+}
+
+// Metrics needed to place glyphs: { twoByte, width(code) in text space
+// units per unit font size (null when unknown), ascent, descent }, or
+// { error } for fonts that can't be measured
+function loadFont(file, fontDict) {
+    const subtype = get(file, fontDict, 'Subtype');
+
+    if (isName(subtype, 'Type0')) {
+        const encoding = get(file, fontDict, 'Encoding');
+        if (!isName(encoding, 'Identity-H')) return { error: 'Composite font with a non-identity encoding' };
+        const cidFont = resolve(file, (get(file, fontDict, 'DescendantFonts') || [])[0]);
+        const widths = new Map();
+        const w = get(file, cidFont, 'W') || [];
+        for (let i = 0; i < w.length;) {
+            const first = resolve(file, w[i]);
+            const next = resolve(file, w[i + 1]);
+            if (Array.isArray(next)) {
+                next.forEach((width, j) => widths.set(first + j, resolve(file, width)));
+                i += 2;
+            } else {
+                const width = resolve(file, w[i + 2]);
+                for (let c = first; c <= next && c - first < 65536; c++) widths.set(c, width);
+                i += 3;
+            }
+        }
+        const dw = get(file, cidFont, 'DW');
+        const defaultWidth = typeof dw === 'number' ? dw : 1000;
+        return {
+            twoByte: true,
+            width: (code) => (widths.has(code) ? widths.get(code) : defaultWidth) / 1000,
+            ...fontExtent(file, get(file, cidFont, 'FontDescriptor'))
+        };
+    }
+
+    const descriptor = get(file, fontDict, 'FontDescriptor');
+    const widthArray = get(file, fontDict, 'Widths');
+
+    if (isName(subtype, 'Type3')) {
+        const matrix = get(file, fontDict, 'FontMatrix') || [0.001, 0, 0, 0.001, 0, 0];
+        const bbox = get(file, fontDict, 'FontBBox') || [0, 0, 0, 0];
+        const first = get(file, fontDict, 'FirstChar') || 0;
+        const ys = [bbox[1] * matrix[3], bbox[3] * matrix[3]];
+        return {
+            twoByte: false,
+            width: (code) => {
+                const width = resolve(file, (widthArray || [])[code - first]);
+                return typeof width === 'number' ? width * matrix[0] : 0;
+            },
+            ascent: Math.max(...ys, 0.75),
+            descent: Math.min(...ys, -0.2)
+        };
+    }
+
+    const extent = fontExtent(file, descriptor);
+    if (Array.isArray(widthArray)) {
+        const first = get(file, fontDict, 'FirstChar') || 0;
+        const missing = get(file, descriptor, 'MissingWidth') || 0;
+        return {
+            twoByte: false,
+            width: (code) => {
+                const width = resolve(file, widthArray[code - first]);
+                return (typeof width === 'number' ? width : missing) / 1000;
+            },
+            ...extent
+        };
+    }
+
+    const baseFont = get(file, fontDict, 'BaseFont');
+    const widths = isName(baseFont) ? standardWidths(baseFont.name) : null;
+    if (!widths) return { error: `No glyph widths for font ${isName(baseFont) ? baseFont.name : ''}` };
+    if (widths === 'monospace') return { twoByte: false, width: () => 0.6, ...extent };
+
+    const flags = get(file, descriptor, 'Flags') || 0;
+    const names = simpleEncoding(file, fontDict, Boolean(flags & 4));
+    return {
+        twoByte: false,
+        width: (code) => names[code] && widths.has(names[code]) ? widths.get(names[code]) / 1000 : null,
+        ...extent
+    };
+}
+
+// Content rewriting
+
+// Rewrite parsed content `ops` drawn with `resources` under the initial
+// graphics state `initial`. Returns { ops, resources }, where resources is
+// a copy when new XObjects were added.
+async function rewriteContent(ctx, ops, resources, initial, depth) {
+    const { file, rects } = ctx;
+    let res = resources instanceof Map ? resources : new Map();
+    let ownResources = false;
+
+    let gs = { ...initial };
+    const stack = [];
+    let tm = IDENTITY;
+    let tlm = IDENTITY;
+    let subpaths = [];
+    let current = null;
+    let clip = null;
+    const out = [];
+
+    const font = (dict) => {
+        if (!ctx.fonts.has(dict)) ctx.fonts.set(dict, loadFont(file, dict));
+        return ctx.fonts.get(dict);
+    };
+
+    const addResource = (category, ref) => {
+        if (!ownResources) {
+            res = new Map(res);
+            ownResources = true;
+        }
+        const entries = new Map(get(file, res, category) || []);
+        let n = 1;
+        while (entries.has(`Redacted${n}`)) n++;
+        entries.set(`Redacted${n}`, ref);
+        res.set(category, entries);
+        return { name: `Redacted${n}` };
+    };
+
+    const point = (x, y) => applyMatrix(gs.ctm, x, y);
+
+    const flushPath = () => {
+        for (const sp of subpaths) out.push(...sp.ops);
+        subpaths = [];
+        current = null;
+        clip = null;
+    };
+
+    // Drop the subpaths of a painted path that touch a redaction, except
+    // shapes that enclose it (backgrounds, table cells)
+    const paintPath = (op) => {
+        const pad = STROKE_OPS.has(op.op)
+            ? Math.max(gs.lineWidth * Math.sqrt(Math.abs(gs.ctm[0] * gs.ctm[3] - gs.ctm[1] * gs.ctm[2])), 0.5) / 2
+            : 0;
+        const hit = (sp) => {
+            if (sp.points.length === 0) return false;
+            const [x0, y0, x1, y1] = pointsBox(sp.points);
+            const box = [x0 - pad, y0 - pad, x1 + pad, y1 + pad];
+            return rects.some(r => intersects(box, r) && !contains(box, r));
+        };
+        const kept = subpaths.filter(sp => !hit(sp));
+
+        if (kept.length === subpaths.length || op.op === 'n') {
+            const pendingClip = clip;
+            flushPath();
+            if (pendingClip) out.push(pendingClip);
+            out.push(op);
+            return;
+        }
+        ctx.removedPaths += subpaths.length - kept.length;
+        if (clip) {
+            // Keep the clip, drop the paint
+            const pendingClip = clip;
+            flushPath();
+            out.push(pendingClip, { op: 'n', operands: [] });
+        } else if (kept.length > 0) {
+            for (const sp of kept) out.push(...sp.ops);
+            out.push(op);
+        }
+        subpaths = [];
+        current = null;
+        clip = null;
+    };
+
+    // Glyph-by-glyph walk of a text-showing operand. Returns the TJ array
+    // with removed glyphs turned into position adjustments, or null when
+    // nothing was removed.
+    const showText = (elements) => {
+        const f = gs.font;
+        if (!f) throw unsupported('Text shown without a font');
+        if (f.error) throw unsupported(f.error);
+
+        const scale = gs.fontSize * gs.hScale;
+        const glyphSpace = [scale, 0, 0, gs.fontSize, 0, gs.rise];
+        const result = [];
+        let kept = [];
+        let changed = false;
+
+        const flush = () => {
+            if (kept.length) result.push({ bytes: new Uint8Array(kept) });
+            kept = [];
+        };
+        const adjust = (n) => {
+            flush();
+            if (typeof result[result.length - 1] === 'number') result[result.length - 1] += n;
+            else result.push(n);
+        };
+
+        for (const element of elements) {
+            if (typeof element === 'number') {
+                tm = multiply([1, 0, 0, 1, -element / 1000 * scale, 0], tm);
+                adjust(element);
+                continue;
+            }
+            if (!isString(element)) continue;
+
+            const step = f.twoByte ? 2 : 1;
+            const bytes = element.bytes;
+            for (let i = 0; i + step <= bytes.length; i += step) {
+                const code = step === 2 ? bytes[i] * 256 + bytes[i + 1] : bytes[i];
+                const w0 = f.width(code);
+                if (w0 === null) throw unsupported('Glyph with unknown width');
+
+                const trm = multiply(multiply(glyphSpace, tm), gs.ctm);
+                const box = transformBox(trm, [0, f.descent, w0 > 0 ? w0 : 0.5, f.ascent]);
+                const advance = (w0 * gs.fontSize + gs.charSpacing + (step === 1 && code === 32 ? gs.wordSpacing : 0)) * gs.hScale;
+                tm = multiply([1, 0, 0, 1, advance, 0], tm);
+
+                const area = (box[2] - box[0]) * (box[3] - box[1]);
+                if (area > 0 && rects.some(r => overlapArea(box, r) >= GLYPH_COVERAGE * area)) {
+                    changed = true;
+                    ctx.removedGlyphs++;
+                    if (scale) adjust(-advance / scale * 1000);
+                } else {
+                    kept.push(...bytes.subarray(i, i + step));
+                }
+            }
+        }
+        flush();
+        return changed ? result : null;
+    };
+
+    for (const op of ops) {
+        const args = op.operands;
+        if (subpaths.length > 0 && !/^(m|l|c|v|y|h|re|W\*?)$/.test(op.op) && !PAINT_OPS.has(op.op)) flushPath();
+
+        switch (op.op) {
+            case 'q':
+                stack.push({ ...gs });
+                out.push(op);
+                break;
+            case 'Q':
+                if (stack.length) gs = stack.pop();
+                out.push(op);
+                break;
+            case 'cm':
+                gs.ctm = multiply(args, gs.ctm);
+                out.push(op);
+                break;
+            case 'w':
+                gs.lineWidth = args[0];
+                out.push(op);
+                break;
+            case 'gs': {
+                const state = get(file, get(file, res, 'ExtGState'), args[0] && args[0].name);
+                const fontEntry = get(file, state, 'Font');
+                if (Array.isArray(fontEntry)) {
+                    gs.font = font(resolve(file, fontEntry[0]));
+                    gs.fontSize = resolve(file, fontEntry[1]);
+                }
+                const lineWidth = get(file, state, 'LW');
+                if (typeof lineWidth === 'number') gs.lineWidth = lineWidth;
+                out.push(op);
+                break;
+            }
+
+            // Text state and positioning
+            case 'BT':
+                tm = tlm = IDENTITY;
+                out.push(op);
+                break;
+            case 'Tf':
+                gs.font = font(get(file, get(file, res, 'Font'), args[0] && args[0].name));
+                gs.fontSize = args[1];
+                out.push(op);
+                break;
+            case 'Tc':
+                gs.charSpacing = args[0];
+                out.push(op);
+                break;
+            case 'Tw':
+                gs.wordSpacing = args[0];
+                out.push(op);
+                break;
+            case 'Tz':
+                gs.hScale = args[0] / 100;
+                out.push(op);
+                break;
+            case 'TL':
+                gs.leading = args[0];
+                out.push(op);
+                break;
+            case 'Ts':
+                gs.rise = args[0];
+                out.push(op);
+                break;
+            case 'TD':
+                gs.leading = -args[1];
+                // falls through
+            case 'Td':
+                tlm = multiply([1, 0, 0, 1, args[0], args[1]], tlm);
+                tm = tlm;
+                out.push(op);
+                break;
+            case 'Tm':
+                tm = tlm = args.slice(0, 6);
+                out.push(op);
+                break;
+            case 'T*':
+                tlm = multiply([1, 0, 0, 1, 0, -gs.leading], tlm);
+                tm = tlm;
+                out.push(op);
+                break;
+
+            // Text showing
+            case 'Tj':
+            case 'TJ': {
+                const shown = showText(op.op === 'TJ' ? args[0] || [] : [args[0]]);
+                out.push(shown ? { op: 'TJ', operands: [shown] } : op);
+                break;
+            }
+            case "'":
+            case '"': {
+                const text = args[args.length - 1];
+                if (op.op === '"') {
+                    gs.wordSpacing = args[0];
+                    gs.charSpacing = args[1];
+                }
+                tlm = multiply([1, 0, 0, 1, 0, -gs.leading], tlm);
+                tm = tlm;
+                const shown = showText([text]);
+                if (!shown) {
+                    out.push(op);
+                } else {
+                    if (op.op === '"') out.push({ op: 'Tw', operands: [args[0]] }, { op: 'Tc', operands: [args[1]] });
+                    out.push({ op: 'T*', operands: [] }, { op: 'TJ', operands: [shown] });
+                }
+                break;
+            }
+
+            // Path construction
+            case 'm':
+                current = { ops: [op], points: [point(args[0], args[1])] };
+                subpaths.push(current);
+                break;
+            case 're': {
+                const [x, y, w, h] = args;
+                current = { ops: [op], points: [point(x, y), point(x + w, y), point(x, y + h), point(x + w, y + h)] };
+                subpaths.push(current);
+                break;
+            }
+            case 'l':
+            case 'c':
+            case 'v':
+            case 'y':
+            case 'h':
+                if (!current) {
+                    current = { ops: [], points: [] };
+                    subpaths.push(current);
+                }
+                current.ops.push(op);
+                for (let i = 0; i + 1 < args.length; i += 2) current.points.push(point(args[i], args[i + 1]));
+                break;
+            case 'W':
+            case 'W*':
+                clip = op;
+                break;
+
+            // XObjects
+            case 'Do': {
+                const xobject = get(file, get(file, res, 'XObject'), args[0] && args[0].name);
+                const subtype = isStream(xobject) ? get(file, xobject.dict, 'Subtype') : null;
+
+                if (isName(subtype, 'Image')) {
+                    const box = transformBox(gs.ctm, [0, 0, 1, 1]);
+                    if (!rects.some(r => intersects(box, r))) {
+                        out.push(op);
+                    } else {
+                        if (get(file, xobject.dict, 'ImageMask') === true) throw unsupported('Stencil mask under a redaction');
+                        const ref = await rasterizeImage(ctx, xobject, gs.ctm);
+                        ctx.rasterizedImages++;
+                        out.push({ op: 'Do', operands: [addResource('XObject', ref)] });
+                    }
+                } else if (isName(subtype, 'Form')) {
+                    const matrix = get(file, xobject.dict, 'Matrix') || IDENTITY;
+                    const formCtm = multiply(matrix, gs.ctm);
+                    const bbox = get(file, xobject.dict, 'BBox') || [0, 0, 0, 0];
+                    const box = transformBox(formCtm, [
+                        Math.min(bbox[0], bbox[2]), Math.min(bbox[1], bbox[3]),
+                        Math.max(bbox[0], bbox[2]), Math.max(bbox[1], bbox[3])
+                    ]);
+                    if (!rects.some(r => intersects(box, r))) {
+                        out.push(op);
+                        break;
+                    }
+                    if (depth >= MAX_FORM_DEPTH) throw unsupported('Forms nested too deeply');
+
+                    const formResources = get(file, xobject.dict, 'Resources') || res;
+                    const rewritten = await rewriteContent(ctx, parseContent(await decodeStream(file, xobject)),
+                        formResources, { ...gs, ctm: formCtm }, depth + 1);
+                    const dict = new Map(xobject.dict);
+                    dict.delete('DecodeParms');
+                    dict.set('Filter', { name: 'FlateDecode' });
+                    dict.set('Resources', rewritten.resources);
+                    const ref = addObject(file, { dict, data: await deflate(serializeContent(rewritten.ops)) });
+                    out.push({ op: 'Do', operands: [addResource('XObject', ref)] });
+                } else if (!isName(subtype, 'PS')) {
+                    out.push(op);
+                }
+                break;
+            }
+            case 'BI': {
+                const box = transformBox(gs.ctm, [0, 0, 1, 1]);
+                if (rects.some(r => intersects(box, r))) throw unsupported('Inline image under a redaction');
+                out.push(op);
+                break;
+            }
+
+            // Replacement text of marked content may repeat what was removed
+            case 'BDC': {
+                const props = isName(args[1])
+                    ? get(file, get(file, res, 'Properties'), args[1].name)
+                    : resolve(file, args[1]);
+                if (props instanceof Map && ['ActualText', 'Alt', 'E'].some(key => props.has(key))) {
+                    out.push({ op: 'BMC', operands: [args[0]] });
+                } else {
+                    out.push(op);
+                }
+                break;
+            }
+
+            default:
+                if (PAINT_OPS.has(op.op)) paintPath(op);
+                else out.push(op);
+        }
+    }
+    flushPath();
+
+    // XObjects replaced above must not stay reachable through the resources
+    const used = new Set(out.filter(o => o.op === 'Do').map(o => o.operands[0] && o.operands[0].name));
+    const xobjects = get(file, res, 'XObject');
+    if (xobjects instanceof Map && [...xobjects.keys()].some(name => !used.has(name))) {
+        res = new Map(res);
+        res.set('XObject', new Map([...xobjects].filter(([name]) => used.has(name))));
+    }
+
+    return { ops: out, resources: res };
+}
+
+// Rasterization
+
+function dataUrlToBytes(dataUrl) {
+    const binary = atob(dataUrl.substring(dataUrl.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+function jpegImage(file, canvas) {
+    const dict = new Map([
+        ['Type', { name: 'XObject' }],
+        ['Subtype', { name: 'Image' }],
+        ['Width', canvas.width],
+        ['Height', canvas.height],
+        ['ColorSpace', { name: 'DeviceRGB' }],
+        ['BitsPerComponent', 8],
+        ['Filter', { name: 'DCTDecode' }]
+    ]);
+    return addObject(file, { dict, data: dataUrlToBytes(canvas.toDataURL('image/jpeg', 0.92)) });
+}
+
+// Replace an image XObject by a copy with the redactions burned in. The
+// image is rendered on its own through pdf.js, so every color space and
+// filter pdf.js supports works here too; transparency is flattened to white.
+async function rasterizeImage(ctx, image, ctm) {
+    const { file } = ctx;
+    const width = get(file, image.dict, 'Width');
+    const height = get(file, image.dict, 'Height');
+    const toImage = invert(ctm);
+    if (!width || !height || !toImage) throw unsupported('Image without a size');
+
+    const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(width, height));
+    const w = Math.max(1, Math.round(width * scale));
+    const h = Math.max(1, Math.round(height * scale));
+
+    // A one-page document showing only the image
+    const content = addObject(file, { dict: new Map(), data: textToBytes(`q ${w} 0 0 ${h} 0 0 cm /Im Do Q`) });
+    const page = new Map([
+        ['Type', { name: 'Page' }],
+        ['MediaBox', [0, 0, w, h]],
+        ['Resources', new Map([['XObject', new Map([['Im', addObject(file, image)]])]])],
+        ['Contents', content]
+    ]);
+    const pageRef = addObject(file, page);
+    const pages = addObject(file, new Map([['Type', { name: 'Pages' }], ['Kids', [pageRef]], ['Count', 1]]));
+    page.set('Parent', pages);
+    const catalog = addObject(file, new Map([['Type', { name: 'Catalog' }], ['Pages', pages]]));
+
+    const doc = await pdfjsLib.getDocument({ data: writePdf(file, new Map([['Root', catalog]])) }).promise;
+    const canvas = document.createElement('canvas');
+    canvas.width = w;
+    canvas.height = h;
+    const canvasCtx = canvas.getContext('2d');
+    try {
+        const imagePage = await doc.getPage(1);
+        await imagePage.render({ canvasContext: canvasCtx, viewport: imagePage.getViewport({ scale: 1 }) }).promise;
+    } finally {
+        doc.destroy();
+    }
+
+    // Redactions mapped from page space into image pixels
+    canvasCtx.fillStyle = 'black';
+    for (const rect of ctx.rects) {
+        const corners = [[rect[0], rect[1]], [rect[2], rect[1]], [rect[2], rect[3]], [rect[0], rect[3]]]
+            .map(([x, y]) => applyMatrix(toImage, x, y))
+            .map(([u, v]) => [u * w, (1 - v) * h]);
+        canvasCtx.beginPath();
+        corners.forEach(([x, y], i) => i === 0 ? canvasCtx.moveTo(x, y) : canvasCtx.lineTo(x, y));
+        canvasCtx.closePath();
+        canvasCtx.fill();
+    }
+    return jpegImage(file, canvas);
+}
+
+// Fallback: the whole page as one image with the redactions burned in.
+// Returns the content and resources drawing it over the page's view box.
+async function rasterizePage(ctx, pdfPage) {
+    const baseVp = pdfPage.getViewport({ scale: 1, rotation: 0 });
+    const viewport = pdfPage.getViewport({ scale: presetScale(OUTPUT_PRESETS.standard, baseVp), rotation: 0 });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    const canvasCtx = canvas.getContext('2d');
+    await pdfPage.render({ canvasContext: canvasCtx, viewport }).promise;
+
+    canvasCtx.fillStyle = 'black';
+    for (const rect of ctx.rects) {
+        const [x0, y0] = viewport.convertToViewportPoint(rect[0], rect[1]);
+        const [x1, y1] = viewport.convertToViewportPoint(rect[2], rect[3]);
+        canvasCtx.fillRect(Math.min(x0, x1), Math.min(y0, y1), Math.abs(x1 - x0), Math.abs(y1 - y0));
+    }
+
+    const [vx0, vy0, vx1, vy1] = pdfPage.view;
+    return {
+        content: textToBytes(`q ${vx1 - vx0} 0 0 ${vy1 - vy0} ${vx0} ${vy0} cm /RedactedPage Do Q`),
+        resources: new Map([['XObject', new Map([['RedactedPage', jpegImage(ctx.file, canvas)]])]])
+    };
+}
+
+// Boxes and ground labels
+
+// Width of Helvetica-Bold text per unit font size
+function labelWidth(text) {
+    const widths = STANDARD_WIDTHS['Helvetica-Bold'];
+    const names = ENCODINGS.WinAnsiEncoding;
+    let width = 0;
+    for (const byte of labelBytes(text)) width += (widths.get(names[byte]) || 556) / 1000;
+    return width;
+}
+
+function labelBytes(text) {
+    return textToBytes(text.replace(/[^\x20-\x7E]/g, '?'));
+}
+
+// Black boxes in page space, then the ground codes placed inside them as
+// drawGroundLabel places them on the raster output (in viewport space, then
+// mapped back)
+function overlayContent(rects, matches, viewport, fontName) {
+    const n = (value) => Math.round(value * 1e4) / 1e4;
+    let content = 'q 0 g\n';
+    for (const [x0, y0, x1, y1] of rects) {
+        content += `${n(x0)} ${n(y0)} ${n(x1 - x0)} ${n(y1 - y0)} re f\n`;
+    }
+
+    const viewToUser = invert(viewport.transform);
+    for (const match of matches) {
+        if (!match.ground) continue;
+        const [x, y, x1, y1] = matchBoxes(match)[0];
+        const label = fitGroundLabel(labelWidth(match.ground), x1 - x, y1 - y);
+        if (!label) continue;
+        const { fontSize } = label;
+        const tx = x + label.x;
+        const centerY = y + label.y;
+        // Text space flipped to the viewport's downward y axis
+        const tm = multiply([1, 0, 0, -1, tx, centerY + fontSize * 0.35], viewToUser).map(n);
+        const text = [...labelBytes(match.ground)].map(b => b.toString(16).padStart(2, '0')).join('');
+        content += `BT 1 g /${fontName} ${n(fontSize)} Tf ${tm.join(' ')} Tm <${text}> Tj ET 0 g\n`;
+    }
+    return textToBytes(content + 'Q\n');
+}
+
+// Pages
+
+function collectPages(file, catalog) {
+    const pages = [];
+    const walk = (ref, inherited, depth) => {
+        const node = resolve(file, ref);
+        if (!(node instanceof Map) || depth > 64) return;
+        const attrs = { ...inherited };
+        for (const key of ['Resources', 'MediaBox', 'CropBox', 'Rotate']) {
+            if (node.has(key)) attrs[key] = node.get(key);
+        }
+        if (node.has('Kids') && !isName(get(file, node, 'Type'), 'Page')) {
+            for (const kid of get(file, node, 'Kids') || []) walk(kid, attrs, depth + 1);
+        } else {
+            pages.push({ dict: node, inherited: attrs });
+        }
+    };
+    walk(catalog.get('Pages'), {}, 0);
+    return pages;
+}
+
+async function pageContent(file, pageDict) {
+    const contents = get(file, pageDict, 'Contents');
+    const streams = Array.isArray(contents) ? contents.map(c => resolve(file, c)) : [contents];
+    const parts = [];
+    for (const stream of streams) {
+        if (!isStream(stream)) continue;
+        parts.push(await decodeStream(file, stream), textToBytes('\n'));
+    }
+    return concatBytes(parts);
+}
+
+// Viewport bbox (top-left origin, scale 1) to a page space rect
+function userRect(viewport, bbox) {
+    const [x0, y0] = viewport.convertToPdfPoint(bbox[0], bbox[1]);
+    const [x1, y1] = viewport.convertToPdfPoint(bbox[2], bbox[3]);
+    return [Math.min(x0, x1), Math.min(y0, y1), Math.max(x0, x1), Math.max(y0, y1)];
+}
+
+async function redactPage(ctx, page, pdfPage, matches, pageNum) {
+    const { file } = ctx;
+    const viewport = pdfPage.getViewport({ scale: 1 });
+    ctx.rects = matches.flatMap(matchBoxes).map(bbox => userRect(viewport, bbox));
+
+    let body;
+    let resources;
+    let rasterized = false;
+    try {
+        const initial = {
+            ctm: IDENTITY, font: null, fontSize: 0, charSpacing: 0, wordSpacing: 0,
+            hScale: 1, leading: 0, rise: 0, lineWidth: 1
+        };
+        const rewritten = await rewriteContent(ctx, parseContent(await pageContent(file, page.dict)),
+            resolve(file, page.inherited.Resources), initial, 0);
+        body = serializeContent(rewritten.ops);
+        resources = rewritten.resources;
+    } catch (err) {
+        console.warn(`Page ${pageNum + 1} is rasterized: ${err.message}`);
+        ({ content: body, resources } = await rasterizePage(ctx, pdfPage));
+        ctx.rasterizedPages.push(pageNum);
+        rasterized = true;
+    }
+
+    resources = new Map(resources);
+    if (matches.some(m => m.ground)) {
+        if (!ctx.labelFont) {
+            ctx.labelFont = addObject(file, new Map([
+                ['Type', { name: 'Font' }],
+                ['Subtype', { name: 'Type1' }],
+                ['BaseFont', { name: 'Helvetica-Bold' }],
+                ['Encoding', { name: 'WinAnsiEncoding' }]
+            ]));
+        }
+        const fonts = new Map(get(file, resources, 'Font') || []);
+        fonts.set('RedactionLabel', ctx.labelFont);
+        resources.set('Font', fonts);
+    }
+
+    const content = concatBytes([
+        textToBytes('q\n'), body, textToBytes('\nQ\n'),
+        overlayContent(ctx.rects, matches, viewport, 'RedactionLabel')
+    ]);
+    page.dict.set('Contents', addObject(file, {
+        dict: new Map([['Filter', { name: 'FlateDecode' }]]),
+        data: await deflate(content)
+    }));
+    page.dict.set('Resources', resources);
+
+    // Annotations over a redaction go, and on a rasterized page everything
+    // but links, whose appearance is already in the image
+    const annots = get(file, page.dict, 'Annots');
+    if (Array.isArray(annots)) {
+        const removed = new Set();
+        const keep = annots.filter(ref => {
+            const annot = resolve(file, ref);
+            const rect = get(file, annot, 'Rect');
+            const subtype = get(file, annot, 'Subtype');
+            const box = Array.isArray(rect) ? [
+                Math.min(rect[0], rect[2]), Math.min(rect[1], rect[3]),
+                Math.max(rect[0], rect[2]), Math.max(rect[1], rect[3])
+            ] : null;
+            const drop = (box && ctx.rects.some(r => intersects(box, r))) || (rasterized && !isName(subtype, 'Link'));
+            if (drop) {
+                removed.add(annot);
+                if (isName(subtype, 'Widget')) ctx.removedWidgets.add(annot);
+            }
+            return !drop;
+        });
+        // Pop-up notes of removed comments
+        page.dict.set('Annots', keep.filter(ref => !removed.has(get(file, resolve(file, ref), 'Parent'))));
+    }
+}
+
+// A removed widget is still written when its field can be reached from
+// /AcroForm, or from a surviving widget through /Parent and /Kids. A field
+// that lost a widget goes as a whole, with its widgets on other pages, since
+// they all show the same value; parents left without kids go as well.
+function pruneFormFields(file, catalog, pages, removed) {
+    if (removed.size === 0) return;
+    const acroForm = get(file, catalog, 'AcroForm');
+    if (!(acroForm instanceof Map)) return;
+
+    const seen = new Set();
+    const removeAll = (field) => {
+        if (!(field instanceof Map) || seen.has(field)) return;
+        seen.add(field);
+        removed.add(field);
+        for (const kid of get(file, field, 'Kids') || []) removeAll(resolve(file, kid));
+    };
+    const prune = (refs) => refs.filter(ref => {
+        const field = resolve(file, ref);
+        if (!(field instanceof Map) || removed.has(field)) return false;
+        if (seen.has(field)) return true;
+        seen.add(field);
+        const kids = get(file, field, 'Kids');
+        if (!Array.isArray(kids)) return true;
+        if (kids.some(kid => removed.has(resolve(file, kid)))) {
+            seen.delete(field);
+            removeAll(field);
+            return false;
+        }
+        const keep = prune(kids);
+        if (keep.length === 0) return false;
+        field.set('Kids', keep);
+        return true;
+    });
+
+    const fields = prune(get(file, acroForm, 'Fields') || []);
+    if (fields.length === 0) {
+        catalog.delete('AcroForm');
+    } else {
+        acroForm.set('Fields', fields);
+        const order = get(file, acroForm, 'CO');
+        if (Array.isArray(order)) acroForm.set('CO', order.filter(ref => !removed.has(resolve(file, ref))));
+    }
+
+    for (const page of pages) {
+        const annots = get(file, page.dict, 'Annots');
+        if (Array.isArray(annots)) page.dict.set('Annots', annots.filter(ref => !removed.has(resolve(file, ref))));
+    }
+}
+
+// Outline titles are readable text too
+function scrubOutlines(file, catalog, redactions) {
+    const texts = redactions.map(m => m.text.trim().toLowerCase()).filter(Boolean);
+    const decode = (bytes) => bytes[0] === 0xFE && bytes[1] === 0xFF
+        ? new TextDecoder('utf-16be').decode(bytes.subarray(2))
+        : bytesToText(bytes);
+
+    const seen = new Set();
+    const walk = (ref) => {
+        for (let item = resolve(file, ref); item instanceof Map && !seen.has(item); item = get(file, item, 'Next')) {
+            seen.add(item);
+            const title = get(file, item, 'Title');
+            if (isString(title) && texts.some(t => decode(title.bytes).toLowerCase().includes(t))) {
+                item.set('Title', { bytes: textToBytes('[redacted]') });
+            }
+            walk(item.get('First'));
+        }
+    };
+    const outlines = get(file, catalog, 'Outlines');
+    if (outlines instanceof Map) walk(outlines.get('First'));
+}
+
+// JavaScript actions and attachments: document level, pages, form fields
+function stripActiveContent(file, catalog, pages) {
+    const names = get(file, catalog, 'Names');
+    if (names instanceof Map) {
+        names.delete('JavaScript');
+        names.delete('EmbeddedFiles');
+    }
+    const isScript = (action) => isName(get(file, action, 'S'), 'JavaScript');
+    const clean = (dict) => {
+        dict.delete('AA');
+        if (isScript(get(file, dict, 'A'))) dict.delete('A');
+    };
+
+    catalog.delete('AA');
+    if (isScript(get(file, catalog, 'OpenAction'))) catalog.delete('OpenAction');
+
+    for (const page of pages) {
+        page.dict.delete('AA');
+        const annots = get(file, page.dict, 'Annots');
+        if (!Array.isArray(annots)) continue;
+        const keep = annots.filter(ref => !isName(get(file, resolve(file, ref), 'Subtype'), 'FileAttachment'));
+        for (const ref of keep) {
+            const annot = resolve(file, ref);
+            if (annot instanceof Map) clean(annot);
+        }
+        page.dict.set('Annots', keep);
+    }
+
+    const seen = new Set();
+    const walk = (refs) => {
+        for (const ref of refs || []) {
+            const field = resolve(file, ref);
+            if (!(field instanceof Map) || seen.has(field)) continue;
+            seen.add(field);
+            clean(field);
+            walk(get(file, field, 'Kids'));
+        }
+    };
+    walk(get(file, get(file, catalog, 'AcroForm'), 'Fields'));
+}
+
+// Copy the pages of another PDF (e.g. the grounds index made with jsPDF) to
+// the end of the document
+async function appendPages(file, catalog, bytes) {
+    const source = await readPdf(bytes);
+    const numbers = new Map();
+    const copy = (value) => {
+        if (isRef(value)) {
+            if (!numbers.has(value.num)) {
+                const ref = { num: file.nextNum++, gen: 0 };
+                numbers.set(value.num, ref);
+                file.objects.set(ref.num, copy(source.objects.has(value.num) ? source.objects.get(value.num) : null));
+            }
+            return numbers.get(value.num);
+        }
+        if (Array.isArray(value)) return value.map(copy);
+        if (isStream(value)) return { dict: copy(value.dict), data: value.data };
+        if (value instanceof Map) {
+            const isPage = isName(value.get('Type'), 'Page');
+            return new Map([...value].filter(([key]) => !(isPage && key === 'Parent')).map(([key, v]) => [key, copy(v)]));
+        }
+        return value;
+    };
+
+    const pagesRef = catalog.get('Pages');
+    const root = resolve(file, pagesRef);
+    const kids = get(file, root, 'Kids');
+    for (const page of collectPages(source, resolve(source, source.trailer.get('Root')))) {
+        const dict = copy(page.dict);
+        for (const key of ['Resources', 'MediaBox', 'CropBox', 'Rotate']) {
+            if (!dict.has(key) && page.inherited[key] !== undefined) dict.set(key, copy(page.inherited[key]));
+        }
+        dict.set('Parent', pagesRef);
+        kids.push(addObject(file, dict));
+        root.set('Count', (get(file, root, 'Count') || 0) + 1);
+    }
+}
+
+// Redact `pdfData` by rewriting it. `pdf` is the same document loaded in
+// pdf.js, used for coordinates and for rasterizing. `password` decrypts an
+// encrypted source; `appendix` is an optional PDF whose pages are added at
+// the end.
+// Returns { data, rasterizedPages, rasterizedImages, removedGlyphs }.
+export async function redactVector(pdfData, pdf, redactions, { password = '', appendix = null, onProgress = () => {} } = {}) {
+    const file = await readPdf(pdfData, password);
+    const catalog = resolve(file, file.trailer.get('Root'));
+    if (!(catalog instanceof Map)) throw new Error('PDF has no document catalog');
+    const pages = collectPages(file, catalog);
+    if (pages.length !== pdf.numPages) throw new Error('Page tree does not match the document');
+
+    const byPage = new Map();
+    for (const match of redactions) {
+        if (!byPage.has(match.pageNum)) byPage.set(match.pageNum, []);
+        byPage.get(match.pageNum).push(match);
+    }
+
+    const ctx = {
+        file, rects: [], fonts: new Map(), labelFont: null, removedWidgets: new Set(),
+        rasterizedPages: [], rasterizedImages: 0, removedGlyphs: 0, removedPaths: 0
+    };
+    let done = 0;
+    for (const [pageNum, matches] of [...byPage].sort((a, b) => a[0] - b[0])) {
+        onProgress(done++, byPage.size, pageNum);
+        await redactPage(ctx, pages[pageNum], await pdf.getPage(pageNum + 1), matches, pageNum);
+    }
+
+    for (const page of pages) {
+        for (const key of ['Thumb', 'PieceInfo', 'Metadata']) page.dict.delete(key);
+    }
+    for (const key of ['StructTreeRoot', 'MarkInfo', 'Metadata', 'PieceInfo']) catalog.delete(key);
+    pruneFormFields(file, catalog, pages, ctx.removedWidgets);
+    stripActiveContent(file, catalog, pages);
+    scrubOutlines(file, catalog, redactions);
+
+    if (appendix) await appendPages(file, catalog, appendix);
+
+    return {
+        data: writePdf(file, new Map([['Root', file.trailer.get('Root')]])),
+        rasterizedPages: ctx.rasterizedPages,
+        rasterizedImages: ctx.rasterizedImages,
+        removedGlyphs: ctx.removedGlyphs
+    };
+}